@@ -11,61 +11,231 @@ if (typeof defaultSettings === 'undefined') {
 	}
 }
 
-var was_private_window_open = false;
+// ============ Session State ============
+// In Chrome the background is a service worker that is stopped when idle, so state
+// that has to outlive it is kept in chrome.storage.session. That area is cleared
+// when the browser closes, like the private session the state belongs to.
+
+const SESSION_STATE_DEFAULTS = {
+	was_private_window_open: false,
+	restore_pending_unlock: false, // Private window opened while saved data was locked
+	pending_restores: {}, // tabId-key -> start time, prevents duplicate restores
+	early_restores: [], // tabId-origin of top frames that restored themselves at document_start
+	session_storage_restored: [], // See getSessionStorageRestoreKey
+	reloaded_after_restore: [], // tabId-key of pages reloaded after a late restore
+	auto_save_last_success: 0,
+	auto_save_last_error: null, // { time, message }
+	auto_save_last_change: 0, // Last cookie change that should be auto-saved
+	auto_save_unsaved_since: 0, // First such change no save finished after yet
+	periodic_save_last_run: null // { time, changed }
+};
+
+// A restore that hasn't finished by then is assumed to have failed
+const PENDING_RESTORE_TIMEOUT_MS = 30000;
+
+// Cookies changed this long ago without a save following means auto-save is stuck
+const AUTO_SAVE_STALL_MS = 60000;
+
+// Updates are chained, so concurrent events don't overwrite each other's changes
+let sessionStateUpdate = Promise.resolve();
+
+async function getSessionState() {
+	return chrome.storage.session.get(SESSION_STATE_DEFAULTS);
+}
+
+/**
+ * Read, change and write back the session state.
+ * @param {function(Object): *} update - Changes the state in place, its return value is passed on
+ * @returns {Promise<*>}
+ */
+function updateSessionState(update) {
+	const result = sessionStateUpdate.then(async () => {
+		const state = await getSessionState();
+		const value = update(state);
+		await chrome.storage.session.set(state);
+		return value;
+	});
+	sessionStateUpdate = result.catch(e => console.error('Failed to update session state:', e));
+	return result;
+}
+
+function removeFromList(list, item) {
+	const index = list.indexOf(item);
+	if (index !== -1) list.splice(index, 1);
+	return index !== -1;
+}
 
 // ============ Cookie Functions ============
 
 async function save_cookies(changeInfo) {
+	if (changeInfo.cookie.storeId !== cookie_store) {
+		return;
+	}
+
 	const settings = await chrome.storage.local.get(defaultSettings);
 
-	if (!settings.extension_enabled) {
+	if (!settings.extension_enabled || !settings.auto_save) {
 		return;
 	}
 
-	const privateOpen = await is_private_window_open();
-	if (privateOpen && changeInfo.cookie.storeId === cookie_store) {
-		let details = { storeId: cookie_store };
+	// Encrypted data can't be written until it is unlocked
+	if (await isSavedDataLocked() || await isAutoSavePaused()) {
+		return;
+	}
+
+	if (await is_private_window_open()) {
+		await recordAutoSaveChange();
+		try {
+			let details = { storeId: cookie_store };
+
+			if (isFirefox) {
+				details.firstPartyDomain = null;
+				details.partitionKey = {};
+			}
+
+			const cookies = await stampSessionCookies(filterCookies(await chrome.cookies.getAll(details), settings));
+			await recordSnapshot('before-auto-save', false, null, cookies);
+			await setSavedData({ cookies: cookies });
+
+			// Also save web storage
+			await saveWebStorage(settings);
 
+			await recordAutoSaveResult();
+		} catch (e) {
+			console.error('Auto-save failed:', e);
+			await recordAutoSaveResult(e);
+		}
+	}
+}
+
+async function saveWebStorage(settings) {
+	const webStorage = await collectWebStorage(settings);
+
+	if (Object.keys(webStorage).length > 0) {
+		await setSavedOrigins({ ...getDisallowedOrigins(await getSavedDataIndex(), settings), ...webStorage }, null, { visited: true });
+	}
+}
+
+// Saved origins that the site filter no longer allows, as removals for setSavedOrigins
+function getDisallowedOrigins(index, settings) {
+	const removed = {};
+	for (const key of Object.keys(index)) {
+		if (!isStorageKeyAllowed(key, settings)) {
+			removed[key] = null;
+		}
+	}
+	return removed;
+}
+
+/**
+ * Save the storage data a content script sent for its origin (auto-save), along with the cookies.
+ * Throws if saving fails, e.g. when the storage quota is exceeded.
+ * @param {Object} data - Storage data of the frame, with its origin
+ * @param {chrome.runtime.MessageSender} sender
+ * @param {Object} settings
+ * @returns {Promise<{success: boolean, filtered?: boolean}>}
+ */
+async function saveOriginData(data, sender, settings) {
+	// Also save cookies (content script can't access these)
+	let cookies = null;
+	try {
+		let details = { storeId: cookie_store };
 		if (isFirefox) {
 			details.firstPartyDomain = null;
 			details.partitionKey = {};
 		}
+		cookies = await chrome.cookies.getAll(details);
+	} catch (e) {
+		// Cookie store might not be available
+	}
+	if (cookies) {
+		cookies = await stampSessionCookies(filterCookies(cookies, settings));
+	}
+	await recordSnapshot('before-auto-save', false, null, cookies);
+	if (cookies) {
+		await setSavedData({ cookies: cookies });
+	}
 
-		const cookies = await chrome.cookies.getAll(details);
-		await chrome.storage.local.set({ cookies: cookies });
+	// Embedded frames are saved under their storage partition
+	const key = sender.tab && sender.frameId ? getStorageKey(data.origin, sender.tab.url) : data.origin;
 
-		// Also save web storage when auto-save is enabled
-		if (settings.auto_save) {
-			saveWebStorage(settings);
-		}
+	// Origins excluded by the site filter are forgotten like normal private browsing
+	if (!isStorageKeyAllowed(key, settings)) {
+		await chrome.storage.local.set({ last_saved: Date.now() });
+		return { success: true, filtered: true };
+	}
+
+	// The saved data of this origin only, to keep its sessionStorage
+	const webStorage = await getSavedOrigins([key]);
+
+	// Build storage data for this origin
+	const originData = {};
+
+	if (data.localStorage && Object.keys(data.localStorage).length > 0) {
+		originData.localStorage = data.localStorage;
+	}
+
+	if (data.sessionStorage && Object.keys(data.sessionStorage).length > 0) {
+		originData.sessionStorage = data.sessionStorage;
+	} else if (data.sessionStorage && webStorage[key] && webStorage[key].sessionStorage) {
+		// sessionStorage is per tab, a new tab of the origin starts empty and shouldn't erase it
+		originData.sessionStorage = webStorage[key].sessionStorage;
+	}
+
+	if (data.indexedDB && data.indexedDB.length > 0) {
+		originData.indexedDB = data.indexedDB;
+	}
+
+	if (data.cacheStorage && data.cacheStorage.length > 0) {
+		originData.cacheStorage = data.cacheStorage;
+	}
+
+	if (data.opfs) {
+		originData.opfs = data.opfs;
+	}
+
+	// Only save if there's data
+	if (Object.keys(originData).length > 0) {
+		await setSavedOrigins({ [key]: originData }, null, { visited: true });
+		await chrome.storage.local.set({ last_saved: Date.now() });
+	} else {
+		// Still update last_saved for cookies-only saves
+		await chrome.storage.local.set({ last_saved: Date.now() });
 	}
+
+	return { success: true };
 }
 
-async function saveWebStorage(settings) {
+async function collectWebStorage(settings) {
 	const tabs = await getPrivateTabs();
 	const webStorage = {};
 	const includeCache = settings.save_cacheAPI;
 	const cacheSizeLimit = settings.cache_size_limit_mb || 50;
-
-	// Group tabs by origin
-	const originTabs = {};
-	for (const tab of tabs) {
-		const origin = getOriginFromUrl(tab.url);
-		if (origin && !originTabs[origin]) {
-			originTabs[origin] = tab;
+	const includeOPFS = settings.save_opfs;
+
+	// Group frames of all tabs by storage key
+	const keyFrames = {};
+	const tabFrames = await Promise.all(tabs.map(getTabStorageFrames));
+	tabs.forEach((tab, index) => {
+		for (const frame of tabFrames[index]) {
+			if (!keyFrames[frame.key] && isStorageKeyAllowed(frame.key, settings)) {
+				keyFrames[frame.key] = { tab, frameId: frame.frameId };
+			}
 		}
-	}
+	});
 
-	// Collect storage from all origins in parallel
-	const originEntries = Object.entries(originTabs);
+	// Collect storage from all storage keys in parallel
+	const keyEntries = Object.entries(keyFrames);
 	const results = await Promise.allSettled(
-		originEntries.map(async ([origin, tab]) => {
+		keyEntries.map(async ([key, { tab, frameId }]) => {
 			try {
 				const response = await chrome.tabs.sendMessage(tab.id, {
 					action: 'getStorageData',
 					includeCache: includeCache,
-					cacheSizeLimit: cacheSizeLimit
-				});
+					cacheSizeLimit: cacheSizeLimit,
+					includeOPFS: includeOPFS,
+					opfsSizeLimit: settings.opfs_size_limit_mb || 50
+				}, { frameId: frameId });
 
 				if (response && response.origin) {
 					const storageData = {};
@@ -74,6 +244,10 @@ async function saveWebStorage(settings) {
 						storageData.localStorage = response.localStorage;
 					}
 
+					if (settings.save_sessionStorage && response.sessionStorage && Object.keys(response.sessionStorage).length > 0) {
+						storageData.sessionStorage = response.sessionStorage;
+					}
+
 					if (settings.save_indexedDB && response.indexedDB && response.indexedDB.length > 0) {
 						storageData.indexedDB = response.indexedDB;
 					}
@@ -82,8 +256,12 @@ async function saveWebStorage(settings) {
 						storageData.cacheStorage = response.cacheStorage;
 					}
 
+					if (settings.save_opfs && response.opfs) {
+						storageData.opfs = response.opfs;
+					}
+
 					if (Object.keys(storageData).length > 0) {
-						return { origin, data: storageData };
+						return { key, data: storageData };
 					}
 				}
 			} catch (e) {
@@ -96,84 +274,223 @@ async function saveWebStorage(settings) {
 	// Merge results
 	for (const result of results) {
 		if (result.status === 'fulfilled' && result.value) {
-			webStorage[result.value.origin] = result.value.data;
+			webStorage[result.value.key] = result.value.data;
 		}
 	}
 
-	if (Object.keys(webStorage).length > 0) {
-		const existing = await chrome.storage.local.get('webStorage');
-		const merged = { ...existing.webStorage, ...webStorage };
-		await chrome.storage.local.set({ webStorage: merged });
+	return webStorage;
+}
+
+// ============ Periodic Save ============
+// Auto-save reacts to cookie changes and page events. Sites that only change their
+// IndexedDB in the background are covered by saving all private tabs on an interval.
+
+async function updatePeriodicSaveAlarm() {
+	const settings = await chrome.storage.local.get(defaultSettings);
+
+	if (!settings.extension_enabled || !settings.periodic_save) {
+		await chrome.alarms.clear(PERIODIC_SAVE_ALARM);
+		return;
+	}
+
+	const interval = settings.periodic_save_interval_minutes;
+	const alarm = await chrome.alarms.get(PERIODIC_SAVE_ALARM);
+	if (!alarm || alarm.periodInMinutes !== interval) {
+		await chrome.alarms.create(PERIODIC_SAVE_ALARM, { delayInMinutes: interval, periodInMinutes: interval });
 	}
 }
 
-async function restoreWebStorage() {
-	const stored = await chrome.storage.local.get(['webStorage', 'save_cacheAPI']);
-	const webStorage = stored.webStorage || {};
-	const includeCache = stored.save_cacheAPI || false;
+async function periodicSave() {
+	const settings = await chrome.storage.local.get(defaultSettings);
+
+	if (!settings.extension_enabled || !settings.periodic_save) {
+		return;
+	}
+
+	if (!await is_private_window_open(true) || await isSavedDataLocked() || await isAutoSavePaused()) {
+		return;
+	}
+
+	try {
+		let details = { storeId: cookie_store };
+
+		if (isFirefox) {
+			details.firstPartyDomain = null;
+			details.partitionKey = {};
+		}
+
+		const cookies = await stampSessionCookies(filterCookies(await chrome.cookies.getAll(details), settings));
+		const existing = await getSavedData(['cookies']);
+		const index = await getSavedDataIndex();
+		const webStorage = { ...getDisallowedOrigins(index, settings), ...await collectWebStorage(settings) };
+		const saved = await getSavedOrigins(Object.keys(webStorage), null, index);
+
+		// Skip the save (and the snapshot) when nothing changed since the saved data
+		const changed = JSON.stringify(pruneExpiredCookies(cookies).cookies) !== JSON.stringify(existing.cookies) ||
+			Object.entries(webStorage).some(([key, data]) => JSON.stringify(data) !== JSON.stringify(saved[key]));
+
+		if (changed) {
+			await recordSnapshot('before-auto-save', false, null, cookies);
+			await setSavedData({ cookies: cookies, last_saved: Date.now() });
+			await setSavedOrigins(webStorage, null, { visited: true });
+		}
+
+		await updateSessionState((state) => {
+			state.periodic_save_last_run = { time: Date.now(), changed: changed };
+		});
+		await recordAutoSaveResult();
+	} catch (e) {
+		console.error('Periodic save failed:', e);
+		await recordAutoSaveResult(e);
+	}
+}
+
+async function restoreWebStorage(clearFirst = false, report = null) {
+	const settings = await chrome.storage.local.get(defaultSettings);
+	const includeCache = settings.save_cacheAPI || false;
+	const includeOPFS = settings.save_opfs || false;
 
 	const tabs = await getPrivateTabs();
+	const sessionStorageTabs = getSessionStorageTabs(tabs, settings);
+
+	// Only the origins of open frames are read
+	const tabFrames = await Promise.all(tabs.map(getTabStorageFrames));
+	const keys = new Set(tabFrames.flat().map(frame => frame.key));
+	const webStorage = filterWebStorage(await getSavedOrigins([...keys]), settings);
 
 	// Parallel restoration
 	await Promise.allSettled(
-		tabs.map(async (tab) => {
-			const origin = getOriginFromUrl(tab.url);
-			if (origin && webStorage[origin]) {
+		tabs.map(async (tab, index) => {
+			const frames = tabFrames[index].filter(frame => webStorage[frame.key]);
+			await Promise.allSettled(frames.map(async ({ frameId, key }) => {
+				if (sessionStorageTabs.has(tab.id)) {
+					await markSessionStorageRestored(tab.id, key, settings);
+				}
 				try {
-					await chrome.tabs.sendMessage(tab.id, {
+					const response = await chrome.tabs.sendMessage(tab.id, {
 						action: 'setStorageData',
-						data: webStorage[origin],
-						clearFirst: false,
-						includeCache: includeCache
-					});
+						data: sessionStorageTabs.has(tab.id) ? webStorage[key] : withoutSessionStorage(webStorage[key]),
+						clearFirst: clearFirst,
+						includeCache: includeCache,
+						includeOPFS: includeOPFS
+					}, { frameId: frameId });
+					if (report) addOriginRestoreResult(report, key, response);
 				} catch (e) {
-					// Tab might not have content script loaded
+					// Frame might not have content script loaded
+					if (report) addOriginRestoreResult(report, key, null, e);
 				}
-			}
+			}));
 		})
 	);
 }
 
-// ============ Auto-save Listener Management ============
-
-async function save_cookies_listener() {
-	const settings = await chrome.storage.local.get(defaultSettings);
+// ============ Auto-save Health ============
+// Cookie changes that should be saved and the saves that follow are recorded, so
+// the popup can show whether auto-save really runs: changes that keep arriving
+// without a save (e.g. a save that never finishes) are reported as not saving.
 
-	if (!settings.extension_enabled) {
-		if (chrome.cookies.onChanged.hasListener(save_cookies)) {
-			chrome.cookies.onChanged.removeListener(save_cookies);
+async function recordAutoSaveChange() {
+	await updateSessionState((state) => {
+		state.auto_save_last_change = Date.now();
+		if (!state.auto_save_unsaved_since) {
+			state.auto_save_unsaved_since = state.auto_save_last_change;
 		}
-		return;
-	}
+	});
+}
 
-	if (await is_private_window_open()) {
-		if (settings.auto_save) {
-			if (!chrome.cookies.onChanged.hasListener(save_cookies)) {
-				chrome.cookies.onChanged.addListener(save_cookies);
-			}
+async function recordAutoSaveResult(error = null) {
+	await updateSessionState((state) => {
+		if (error) {
+			state.auto_save_last_error = { time: Date.now(), message: getErrorMessage(error) };
 		} else {
-			if (chrome.cookies.onChanged.hasListener(save_cookies)) {
-				chrome.cookies.onChanged.removeListener(save_cookies);
-			}
+			state.auto_save_last_success = Date.now();
 		}
-	}
+		state.auto_save_unsaved_since = 0;
+	});
 }
 
-// ============ Tab Navigation Listener for Web Storage ============
+async function getAutoSaveHealth() {
+	const state = await getSessionState();
+	const stalled = !!state.auto_save_unsaved_since && Date.now() - state.auto_save_unsaved_since > AUTO_SAVE_STALL_MS;
+	return {
+		lastChange: state.auto_save_last_change,
+		notSavingSince: stalled ? state.auto_save_unsaved_since : null,
+		lastSuccess: state.auto_save_last_success,
+		lastError: state.auto_save_last_error
+	};
+}
 
-// Track pending restores to prevent duplicates
-const pendingRestores = new Map();
+// ============ Tab Navigation Listener for Web Storage ============
 
-// Cleanup stale entries periodically (every 30 seconds)
-setInterval(() => {
-	const now = Date.now();
-	for (const [key, timestamp] of pendingRestores.entries()) {
-		// Remove entries older than 30 seconds
-		if (now - timestamp > 30000) {
-			pendingRestores.delete(key);
+// Mark a restore (key: tabId-key) as running, false if it already is
+async function startRestore(restoreKey) {
+	return updateSessionState((state) => {
+		const now = Date.now();
+		for (const [key, started] of Object.entries(state.pending_restores)) {
+			if (now - started > PENDING_RESTORE_TIMEOUT_MS) {
+				delete state.pending_restores[key];
+			}
 		}
+
+		if (state.pending_restores[restoreKey]) return false;
+		state.pending_restores[restoreKey] = now;
+		return true;
+	});
+}
+
+async function finishRestore(restoreKey) {
+	await updateSessionState((state) => {
+		delete state.pending_restores[restoreKey];
+	});
+}
+
+// A page whose data was restored after its scripts started is reloaded once per tab and origin
+async function shouldReloadAfterRestore(tabId, key, storageResults) {
+	const { reload_after_late_restore } = await chrome.storage.local.get({
+		reload_after_late_restore: defaultSettings.reload_after_late_restore
+	});
+
+	if (!reload_after_late_restore || !hasRestoredItems(storageResults)) {
+		return false;
 	}
-}, 30000);
+
+	const reloadKey = `${tabId}-${key}`;
+	return updateSessionState((state) => {
+		if (state.reloaded_after_restore.includes(reloadKey)) return false;
+		state.reloaded_after_restore.push(reloadKey);
+		return true;
+	});
+}
+
+// sessionStorage is restored once per private session: into the first tab of an
+// origin (key: origin) or once into every tab (key: tabId-origin)
+function getSessionStorageRestoreKey(tabId, origin, settings) {
+	return settings.session_storage_restore === 'all' ? `${tabId}-${origin}` : origin;
+}
+
+async function markSessionStorageRestored(tabId, origin, settings) {
+	const restoreKey = getSessionStorageRestoreKey(tabId, origin, settings);
+	await updateSessionState((state) => {
+		if (!state.session_storage_restored.includes(restoreKey)) {
+			state.session_storage_restored.push(restoreKey);
+		}
+	});
+}
+
+// Get the data to restore into a tab, without sessionStorage once that was restored
+// or when saving it is turned off
+async function claimSessionStorage(tabId, key, data, settings) {
+	if (!data.sessionStorage) return data;
+	if (!settings.save_sessionStorage) return withoutSessionStorage(data);
+
+	const restoreKey = getSessionStorageRestoreKey(tabId, key, settings);
+	const claimed = await updateSessionState((state) => {
+		if (state.session_storage_restored.includes(restoreKey)) return false;
+		state.session_storage_restored.push(restoreKey);
+		return true;
+	});
+	return claimed ? data : withoutSessionStorage(data);
+}
 
 async function onTabUpdated(tabId, changeInfo, tab) {
 	if (!tab.incognito || changeInfo.status !== 'complete') {
@@ -191,68 +508,445 @@ async function onTabUpdated(tabId, changeInfo, tab) {
 
 	// Prevent duplicate restores for same tab/origin
 	const restoreKey = `${tabId}-${origin}`;
-	if (pendingRestores.has(restoreKey)) return;
-	pendingRestores.set(restoreKey, Date.now()); // Store timestamp for cleanup
 
-	const stored = await chrome.storage.local.get(['webStorage', 'save_cacheAPI']);
-	const webStorage = stored.webStorage || {};
+	// The content script restored the page at document_start. Otherwise (e.g. the
+	// tab was loaded before the extension) the data is pushed now, after the page's scripts ran.
+	const restoredEarly = await updateSessionState(state => removeFromList(state.early_restores, restoreKey));
+	if (restoredEarly) return;
+
+	// Nothing can be restored until encrypted data is unlocked
+	if (await isSavedDataLocked()) return;
+
+	if (!await startRestore(restoreKey)) return;
 
-	if (!webStorage[origin]) {
-		pendingRestores.delete(restoreKey);
+	const webStorage = await getSavedOrigins([origin]);
+
+	if (!webStorage[origin] || !isOriginAllowed(origin, settings)) {
+		await finishRestore(restoreKey);
 		return;
 	}
 
 	const maxRetries = 3;
 	const retryDelay = 500;
+	let lastError = null;
+
+	const data = await claimSessionStorage(tabId, origin, webStorage[origin], settings);
 
 	for (let attempt = 0; attempt < maxRetries; attempt++) {
 		try {
 			// Check if tab still exists and has same URL
 			const currentTab = await chrome.tabs.get(tabId).catch(() => null);
 			if (!currentTab || getOriginFromUrl(currentTab.url) !== origin) {
+				lastError = null;
 				break; // Tab navigated away, abort
 			}
 
-			await chrome.tabs.sendMessage(tabId, {
+			const response = await chrome.tabs.sendMessage(tabId, {
 				action: 'setStorageData',
-				data: webStorage[origin],
+				data: data,
 				clearFirst: false,
-				includeCache: stored.save_cacheAPI || false
-			});
+				includeCache: settings.save_cacheAPI || false,
+				includeOPFS: settings.save_opfs || false
+			}, { frameId: 0 });
+			addToStartupReport(origin, response);
+			lastError = null;
+
+			if (response && await shouldReloadAfterRestore(tabId, origin, response.report)) {
+				chrome.tabs.reload(tabId).catch(() => { });
+			}
 			break; // Success
 		} catch (e) {
+			lastError = e;
 			if (attempt < maxRetries - 1) {
 				await new Promise(r => setTimeout(r, retryDelay));
 			}
 		}
 	}
 
-	pendingRestores.delete(restoreKey);
+	if (lastError) {
+		addToStartupReport(origin, null, lastError);
+	}
+
+	await finishRestore(restoreKey);
+}
+
+// Web storage is restored per tab after a private window opens, so those results
+// are added to the window's restore report one at a time as the tabs load
+let startupReportUpdate = Promise.resolve();
+
+function addToStartupReport(origin, response, error = null) {
+	startupReportUpdate = startupReportUpdate.then(async () => {
+		const report = await getLastRestoreReport();
+		if (report && report.source === 'startup') {
+			addOriginRestoreResult(report, origin, response, error);
+			await saveRestoreReport(report);
+		}
+	}).catch(e => console.error('Failed to update restore report:', e));
+}
+
+// The content script of every frame asks for its saved data at document_start.
+// The answer arrives after the page's scripts started, only a preload script
+// (see Preload Scripts) writes localStorage before them.
+async function getEarlyRestoreData(sender) {
+	const tab = sender.tab;
+	if (!tab || !tab.incognito) return null;
+
+	const origin = getOriginFromUrl(sender.url);
+	if (!origin || origin === 'null') return null;
+
+	// Same-origin frames share the top frame's storage
+	if (sender.frameId && origin === getOriginFromUrl(tab.url)) return null;
+
+	// The top frame handles its own restore, onTabUpdated doesn't need to push it
+	if (!sender.frameId) {
+		const earlyKey = `${tab.id}-${origin}`;
+		await updateSessionState((state) => {
+			if (!state.early_restores.includes(earlyKey)) {
+				state.early_restores.push(earlyKey);
+			}
+		});
+	}
+
+	const settings = await chrome.storage.local.get(defaultSettings);
+
+	if (!settings.extension_enabled || await isSavedDataLocked()) {
+		return null;
+	}
+
+	const key = sender.frameId ? getStorageKey(origin, tab.url) : origin;
+	if (!isStorageKeyAllowed(key, settings)) return null;
+
+	// Several frames of the same widget share one storage, restore it once.
+	// The entry is removed when the frame reports back (earlyRestoreDone).
+	const restoreKey = `${tab.id}-${key}`;
+	if (!await startRestore(restoreKey)) return null;
+
+	const webStorage = await getSavedOrigins([key]);
+
+	if (!webStorage[key]) {
+		await finishRestore(restoreKey);
+		return null;
+	}
+
+	return {
+		key: key,
+		data: await claimSessionStorage(tab.id, key, webStorage[key], settings),
+		includeCache: settings.save_cacheAPI || false,
+		includeOPFS: settings.save_opfs || false
+	};
 }
 
 // Clean up pending restores when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
 	// Remove all entries for this tab
-	for (const key of pendingRestores.keys()) {
-		if (key.startsWith(`${tabId}-`)) {
-			pendingRestores.delete(key);
+	const isTabKey = key => key.startsWith(`${tabId}-`);
+	updateSessionState((state) => {
+		for (const key of Object.keys(state.pending_restores).filter(isTabKey)) {
+			delete state.pending_restores[key];
 		}
-	}
+		state.early_restores = state.early_restores.filter(key => !isTabKey(key));
+		state.session_storage_restored = state.session_storage_restored.filter(key => !isTabKey(key));
+		state.reloaded_after_restore = state.reloaded_after_restore.filter(key => !isTabKey(key));
+	});
 });
 
+// ============ IndexedDB Gate ============
+// idb-gate.js holds back a page's indexedDB.open() until the early restore is
+// done. It is only registered for origins with saved IndexedDB data, so other
+// sites never wait for the extension.
+
+const IDB_GATE_SCRIPT_ID = 'idb_gate';
+
+// The gate has to patch the page's own indexedDB, which needs content scripts in the
+// MAIN world. Firefox before 128 would run it in the isolated world, where it does nothing.
+function supportsMainWorldScripts() {
+	return !isFirefox || parseInt(getBrowserInfo().version, 10) >= 128;
+}
+
+async function getIndexedDBGateMatches() {
+	const settings = await chrome.storage.local.get(defaultSettings);
+
+	if (!supportsMainWorldScripts() || !settings.extension_enabled || !settings.save_indexedDB || await isSavedDataLocked()) {
+		return [];
+	}
+
+	const index = await getSavedDataIndex();
+	const matches = new Set();
+	for (const [key, entry] of Object.entries(index)) {
+		const pattern = entry.types.indexedDB && isStorageKeyAllowed(key, settings) && getOriginMatchPattern(parseStorageKey(key).origin);
+		if (pattern) {
+			matches.add(pattern);
+		}
+	}
+	return [...matches].sort();
+}
+
+async function updateIndexedDBGate() {
+	try {
+		const matches = await getIndexedDBGateMatches();
+		const [registered] = await chrome.scripting.getRegisteredContentScripts({ ids: [IDB_GATE_SCRIPT_ID] });
+
+		if (registered && matches.length === 0) {
+			await chrome.scripting.unregisterContentScripts({ ids: [IDB_GATE_SCRIPT_ID] });
+		} else if (registered) {
+			if (registered.matches.join() !== matches.join()) {
+				await chrome.scripting.updateContentScripts([{ id: IDB_GATE_SCRIPT_ID, matches: matches }]);
+			}
+		} else if (matches.length > 0) {
+			await chrome.scripting.registerContentScripts([{
+				id: IDB_GATE_SCRIPT_ID,
+				js: ['idb-gate.js'],
+				matches: matches,
+				runAt: 'document_start',
+				allFrames: true,
+				world: 'MAIN',
+				persistAcrossSessions: false
+			}]);
+		}
+	} catch (e) {
+		console.error('Failed to update the IndexedDB gate:', e);
+	}
+}
+
+// Saved data changes often during auto-save, the gate only needs to follow eventually
+const scheduleIndexedDBGateUpdate = debounce(updateIndexedDBGate, 2000);
+
+// ============ Preload Scripts ============
+// Saved localStorage of a site is written by a user script registered for it,
+// carrying its data, which runs at document_start before the page's scripts.
+// scripting.registerContentScripts only takes extension files, so registered
+// user scripts are the only scripts that can carry the data. The user has to
+// allow them (Chrome: "Allow User Scripts" on the extensions page, Firefox 136+:
+// the optional userScripts permission); without them localStorage is written
+// when the content script gets its data, after the page's scripts started.
+//
+// User scripts also run in normal windows and can't tell them apart, so they only
+// hand their data to content.js, which writes it in private windows only.
+
+const PRELOAD_SCRIPT_PREFIX = 'preload:';
+
+// Larger localStorage is restored through the content script only
+const PRELOAD_MAX_BYTES = 1024 * 1024;
+
+// Shared with content.js
+const PRELOAD_DATA_EVENT = 'save-private-window-data:preload-data';
+const PRELOAD_REQUEST_EVENT = 'save-private-window-data:preload-request';
+
+/**
+ * Get the userScripts API if the user allowed user scripts.
+ * @returns {Promise<Object|null>}
+ */
+async function getUserScriptsAPI() {
+	try {
+		// Missing without the permission, throws while Chrome's toggle is off
+		await chrome.userScripts.getScripts({ ids: [] });
+		return chrome.userScripts;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Check why saved localStorage is or isn't written by preload scripts.
+ * @returns {Promise<'active'|'unavailable'|'encrypted'|'off'>}
+ *   encrypted: decrypted data isn't copied into scripts, which the browser keeps on disk
+ */
+async function getPreloadScriptsStatus() {
+	const settings = await chrome.storage.local.get(defaultSettings);
+	if (!settings.extension_enabled || !settings.save_localStorage) return 'off';
+	if (!await getUserScriptsAPI()) return 'unavailable';
+	const { encryption_enabled } = await chrome.storage.local.get({ encryption_enabled: false });
+	return encryption_enabled ? 'encrypted' : 'active';
+}
+
+// The script only passes the data on, to content.js of the same document. Whichever of
+// the two runs first waits for the other, and the data is handed over once.
+function createPreloadCode(origin, localStorage) {
+	const detail = JSON.stringify(JSON.stringify({ origin: origin, localStorage: localStorage }));
+	return `(() => {
+	const send = () => !document.dispatchEvent(new CustomEvent(${JSON.stringify(PRELOAD_DATA_EVENT)}, { detail: ${detail}, cancelable: true }));
+	if (!send()) {
+		document.addEventListener(${JSON.stringify(PRELOAD_REQUEST_EVENT)}, function onRequest() {
+			if (send()) document.removeEventListener(${JSON.stringify(PRELOAD_REQUEST_EVENT)}, onRequest);
+		});
+	}
+})();`;
+}
+
+/**
+ * Get the preload scripts for the active profile's saved localStorage.
+ * @param {string[]} [only] - Storage keys to get them for, all saved origins by default
+ * @returns {Promise<Array>} Script definitions for userScripts.register()
+ */
+async function getPreloadScripts(only = null) {
+	if (await getPreloadScriptsStatus() !== 'active') return [];
+
+	const settings = await chrome.storage.local.get(defaultSettings);
+	const index = await getSavedDataIndex();
+	// Only unpartitioned storage, frames of other sites have their own
+	const keys = (only || Object.keys(index)).filter(key => index[key] && !parseStorageKey(key).topLevelSite &&
+		index[key].types.localStorage && index[key].types.localStorage <= PRELOAD_MAX_BYTES &&
+		isOriginAllowed(key, settings) && getOriginMatchPattern(key));
+	const webStorage = await getSavedOrigins(keys, null, index);
+
+	return keys.filter(key => webStorage[key].localStorage).map(key => ({
+		id: PRELOAD_SCRIPT_PREFIX + key,
+		matches: [getOriginMatchPattern(key)],
+		js: [{ code: createPreloadCode(key, webStorage[key].localStorage) }],
+		runAt: 'document_start',
+		allFrames: false,
+		world: 'USER_SCRIPT'
+	}));
+}
+
+/**
+ * Bring the registered preload scripts in line with the saved localStorage.
+ * @param {Iterable<string>} [changed] - Names of changed storage items, only the
+ *   origins whose localStorage shard is among them are rebuilt. All are without.
+ * @returns {Promise<void>}
+ */
+async function updatePreloadScripts(changed = null) {
+	const userScripts = await getUserScriptsAPI();
+	if (!userScripts) return;
+
+	try {
+		let keys = null;
+		if (changed) {
+			const prefix = getOriginShardKey(await getActiveProfile(), '', 'localStorage');
+			keys = [...changed].filter(name => name.startsWith(prefix)).map(name => name.slice(prefix.length));
+			if (keys.length === 0) return;
+		}
+
+		const scripts = await getPreloadScripts(keys);
+		const registered = (await userScripts.getScripts()).filter(script => script.id.startsWith(PRELOAD_SCRIPT_PREFIX) &&
+			(!keys || keys.includes(script.id.slice(PRELOAD_SCRIPT_PREFIX.length))));
+		const registeredById = new Map(registered.map(script => [script.id, script]));
+		const wanted = new Set(scripts.map(script => script.id));
+
+		const removed = registered.filter(script => !wanted.has(script.id)).map(script => script.id);
+		if (removed.length > 0) {
+			await userScripts.unregister({ ids: removed });
+		}
+
+		const added = scripts.filter(script => !registeredById.has(script.id));
+		if (added.length > 0) {
+			await userScripts.register(added);
+		}
+
+		const updated = scripts.filter(script => registeredById.has(script.id) &&
+			registeredById.get(script.id).js[0].code !== script.js[0].code);
+		if (updated.length > 0) {
+			await userScripts.update(updated);
+		}
+	} catch (e) {
+		console.error('Failed to update preload scripts:', e);
+	}
+}
+
+// Storage items changed since the last update, null once all scripts are rebuilt
+let _preloadChanges = new Set();
+
+const runPreloadScriptsUpdate = debounce(() => {
+	const changed = _preloadChanges;
+	_preloadChanges = new Set();
+	updatePreloadScripts(changed);
+}, 2000);
+
+/**
+ * Update the preload scripts shortly, once a burst of changes is over.
+ * Saves only rebuild the scripts of the origins they wrote localStorage for.
+ * @param {string[]} [changed] - Names of changed storage items, all scripts are rebuilt without
+ */
+function schedulePreloadScriptsUpdate(changed = null) {
+	if (!changed) {
+		_preloadChanges = null;
+	} else if (_preloadChanges) {
+		changed.forEach(name => _preloadChanges.add(name));
+	}
+	runPreloadScriptsUpdate();
+}
+
+// Report which parts of the early restore the browser supports, shown in the popup
+async function getEarlyRestoreSupport() {
+	return {
+		preloadScripts: await getPreloadScriptsStatus(),
+		indexedDBGate: supportsMainWorldScripts()
+	};
+}
+
 // ============ Event Listeners ============
 
+// All listeners are registered at the top level, so the browser can wake the
+// service worker for them after it was stopped
+
 chrome.runtime.onInstalled.addListener(async () => {
 	const options = await chrome.storage.local.get(defaultSettings);
 	await chrome.storage.local.set(options);
+
+	// Session state is lost on install, update and reload. A private window that is
+	// already open isn't a new private session and mustn't be restored into again.
+	const privateOpen = await is_private_window_open(true);
+	await updateSessionState((state) => {
+		state.was_private_window_open = privateOpen;
+	});
+
+	await updateIndexedDBGate();
+	await updatePreloadScripts();
+	await updatePeriodicSaveAlarm();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+	updateIndexedDBGate();
+	updatePreloadScripts();
+	updatePeriodicSaveAlarm();
+});
+
+// Periodically drop expired cookies from the saved data of every profile
+const PRUNE_ALARM = 'prune_expired_cookies';
+
+chrome.alarms.get(PRUNE_ALARM).then(alarm => {
+	if (!alarm) {
+		chrome.alarms.create(PRUNE_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+	}
 });
 
-chrome.storage.onChanged.addListener((changes) => {
-	if (changes.auto_save || changes.extension_enabled) {
-		save_cookies_listener();
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+	if (alarm.name === PRUNE_ALARM) {
+		try {
+			await pruneSavedCookies();
+		} catch (e) {
+			console.error('Failed to prune expired cookies:', e);
+		}
+	}
+
+	if (alarm.name === PERIODIC_SAVE_ALARM) {
+		await periodicSave();
 	}
 });
 
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (changes.periodic_save || changes.periodic_save_interval_minutes || changes.extension_enabled) {
+		updatePeriodicSaveAlarm();
+	}
+
+	// Saved data, the active profile or the settings changed, or the data was locked/unlocked
+	if (isSavedDataChange(changes) || changes.active_profile || changes.extension_enabled ||
+		changes.save_indexedDB || changes.site_filter_mode || changes.site_filter_rules ||
+		(area === 'session' && changes.encryption_key)) {
+		scheduleIndexedDBGateUpdate();
+	}
+
+	if (changes.active_profile || changes.extension_enabled || changes.save_localStorage ||
+		changes.encryption_enabled || changes.site_filter_mode || changes.site_filter_rules) {
+		schedulePreloadScriptsUpdate();
+	} else if (isSavedDataChange(changes)) {
+		schedulePreloadScriptsUpdate(Object.keys(changes));
+	}
+});
+
+// The userScripts permission is optional in Firefox and granted from the popup
+chrome.permissions.onAdded.addListener(() => updatePreloadScripts());
+
 chrome.windows.onCreated.addListener(async (window) => {
 	invalidatePrivateWindowCache(); // Invalidate cache on window changes
 
@@ -264,11 +958,34 @@ chrome.windows.onCreated.addListener(async (window) => {
 
 	const privateAccess = await chrome.extension.isAllowedIncognitoAccess();
 
-	if (privateAccess && window.incognito && !was_private_window_open) {
-		await restore_cookies();
-		// Web storage will be restored per-tab via the tabs.onUpdated listener
-		save_cookies_listener();
-		was_private_window_open = true;
+	if (!privateAccess || !window.incognito) {
+		return;
+	}
+
+	// Only the first private window starts a new private session
+	const newSession = await updateSessionState((state) => {
+		if (state.was_private_window_open) return false;
+		state.was_private_window_open = true;
+		return true;
+	});
+
+	if (newSession) {
+		// Start the new private session in the chosen startup profile
+		if (settings.startup_profile && settings.profiles.includes(settings.startup_profile)) {
+			await chrome.storage.local.set({ active_profile: settings.startup_profile });
+		}
+
+		if (await isSavedDataLocked()) {
+			// Restore once the user unlocks the data from the popup
+			await updateSessionState((state) => {
+				state.restore_pending_unlock = true;
+			});
+		} else {
+			const report = createRestoreReport('startup');
+			report.cookies = await restore_cookies();
+			await saveRestoreReport(report);
+			// Web storage will be restored per-tab via the tabs.onUpdated listener
+		}
 	}
 });
 
@@ -276,25 +993,100 @@ chrome.windows.onRemoved.addListener(async () => {
 	invalidatePrivateWindowCache(); // Invalidate cache on window changes
 
 	if (!await is_private_window_open(true)) { // Force refresh
-		if (chrome.cookies.onChanged.hasListener(save_cookies)) {
-			chrome.cookies.onChanged.removeListener(save_cookies);
-		}
-
-		was_private_window_open = false;
+		await updateSessionState((state) => {
+			Object.assign(state, {
+				was_private_window_open: false,
+				restore_pending_unlock: false,
+				pending_restores: {},
+				early_restores: [],
+				session_storage_restored: [],
+				reloaded_after_restore: []
+			});
+		});
 	}
 });
 
+// Auto-save cookie changes (save_cookies checks the settings)
+chrome.cookies.onChanged.addListener(save_cookies);
+
 // Listen for tab updates to restore web storage
 chrome.tabs.onUpdated.addListener(onTabUpdated);
 
 // Listen for messages from popup and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-	if (message.action === 'extensionToggled') {
-		save_cookies_listener();
+	if (message.action === 'getAutoSaveHealth') {
+		getAutoSaveHealth().then(sendResponse, (e) => {
+			console.error('Failed to check auto-save health:', e);
+			sendResponse(null);
+		});
+
+		return true; // Keep channel open for async response
 	}
 
-	if (message.action === 'settingsChanged') {
-		save_cookies_listener();
+	// Saved data was unlocked from the popup, finish a restore that was skipped while locked
+	if (message.action === 'dataUnlocked') {
+		(async () => {
+			let response = { success: true };
+			try {
+				const { restore_pending_unlock } = await getSessionState();
+
+				if (restore_pending_unlock && await is_private_window_open(true)) {
+					const report = createRestoreReport('unlock');
+					report.cookies = await restore_cookies();
+					await restoreWebStorage(false, report);
+					await saveRestoreReport(report);
+				}
+
+				// Only once restored, a failed restore (e.g. locked again) is retried on the next unlock
+				await updateSessionState((state) => {
+					state.restore_pending_unlock = false;
+				});
+			} catch (e) {
+				console.error('Restore after unlock failed:', e);
+				response = { success: false, error: getErrorMessage(e) };
+			} finally {
+				sendResponse(response);
+			}
+		})();
+
+		return true; // Keep channel open for async response
+	}
+
+	if (message.action === 'getEarlyRestoreSupport') {
+		getEarlyRestoreSupport().then(sendResponse, (e) => {
+			console.error('Failed to check early restore support:', e);
+			sendResponse(null);
+		});
+
+		return true; // Keep channel open for async response
+	}
+
+	if (message.action === 'getEarlyRestoreData') {
+		getEarlyRestoreData(sender).then(sendResponse, (e) => {
+			console.error('Failed to get early restore data:', e);
+			sendResponse(null);
+		});
+
+		return true; // Keep channel open for async response
+	}
+
+	if (message.action === 'earlyRestoreDone') {
+		(async () => {
+			let reload = false;
+			try {
+				const tabId = sender.tab ? sender.tab.id : null;
+				await finishRestore(`${tabId}-${message.key}`);
+				addToStartupReport(message.key, { success: true, report: message.report });
+
+				reload = message.late && tabId !== null && await shouldReloadAfterRestore(tabId, message.key, message.report);
+			} catch (e) {
+				console.error('Failed to finish early restore:', e);
+			} finally {
+				sendResponse({ reload: reload });
+			}
+		})();
+
+		return true; // Keep channel open for async response
 	}
 
 	// Handle direct storage data from content scripts (auto-save)
@@ -313,51 +1105,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 				return;
 			}
 
-			// Also save cookies (content script can't access these)
-			try {
-				let details = { storeId: cookie_store };
-				if (isFirefox) {
-					details.firstPartyDomain = null;
-					details.partitionKey = {};
-				}
-				const cookies = await chrome.cookies.getAll(details);
-				await chrome.storage.local.set({ cookies: cookies });
-			} catch (e) {
-				// Cookie store might not be available
-			}
-
-			// Get existing web storage and merge
-			const existing = await chrome.storage.local.get('webStorage');
-			const webStorage = existing.webStorage || {};
-
-			// Build storage data for this origin
-			const originData = {};
-
-			if (data.localStorage && Object.keys(data.localStorage).length > 0) {
-				originData.localStorage = data.localStorage;
-			}
-
-			if (data.indexedDB && data.indexedDB.length > 0) {
-				originData.indexedDB = data.indexedDB;
+			if (await isSavedDataLocked()) {
+				sendResponse({ success: false, reason: 'locked' });
+				return;
 			}
 
-			if (data.cacheStorage && data.cacheStorage.length > 0) {
-				originData.cacheStorage = data.cacheStorage;
+			if (await isAutoSavePaused()) {
+				sendResponse({ success: false, reason: 'paused' });
+				return;
 			}
 
-			// Only save if there's data
-			if (Object.keys(originData).length > 0) {
-				webStorage[data.origin] = originData;
-				await chrome.storage.local.set({
-					webStorage: webStorage,
-					last_saved: Date.now()
-				});
-			} else {
-				// Still update last_saved for cookies-only saves
-				await chrome.storage.local.set({ last_saved: Date.now() });
+			try {
+				sendResponse(await saveOriginData(data, sender, settings));
+				await recordAutoSaveResult();
+			} catch (e) {
+				// e.g. the storage quota is exceeded, shown by the popup's auto-save status
+				console.error('Auto-save failed:', e);
+				await recordAutoSaveResult(e);
+				sendResponse({ success: false, error: getErrorMessage(e) });
 			}
-
-			sendResponse({ success: true });
 		})();
 
 		return true; // Keep channel open for async response
@@ -368,33 +1134,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 		(async () => {
 			try {
 				// Check if private window is open
-				if (await is_private_window_open(true)) {
+				if (await is_private_window_open(true) && !await isSavedDataLocked()) {
+					const report = createRestoreReport('import');
+
 					// Restore cookies
-					restore_cookies();
+					report.cookies = await restore_cookies();
 
 					// Restore web storage to all private tabs
-					const tabs = await getPrivateTabs();
-					const stored = await chrome.storage.local.get(['webStorage', 'save_cacheAPI']);
-					const webStorage = stored.webStorage || {};
-
-					// Parallel restoration
-					await Promise.allSettled(
-						tabs.map(async (tab) => {
-							const origin = getOriginFromUrl(tab.url);
-							if (origin && webStorage[origin]) {
-								try {
-									await chrome.tabs.sendMessage(tab.id, {
-										action: 'setStorageData',
-										data: webStorage[origin],
-										clearFirst: true,
-										includeCache: stored.save_cacheAPI || false
-									});
-								} catch (e) {
-									// Tab might not have content script
-								}
-							}
-						})
-					);
+					await restoreWebStorage(true, report);
+					await saveRestoreReport(report);
+
+					sendResponse({ success: true, summary: summarizeRestoreReport(report) });
+					return;
 				}
 				sendResponse({ success: true });
 			} catch (e) {
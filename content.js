@@ -4,37 +4,200 @@
 (function () {
     'use strict';
 
-    // Get all localStorage data
-    function getLocalStorage() {
+    // Restore results per storage type, collected into the restore report
+    function createRestoreResult() {
+        return { restored: 0, failed: [] };
+    }
+
+    function getErrorMessage(e) {
+        return (e && e.message) || String(e);
+    }
+
+    // Get all data of a Web Storage area ('localStorage' or 'sessionStorage')
+    function getWebStorage(area) {
         const data = {};
         try {
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                data[key] = localStorage.getItem(key);
+            const storage = window[area];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                data[key] = storage.getItem(key);
             }
         } catch (e) {
-            console.error('Failed to read localStorage:', e);
+            console.error(`Failed to read ${area}:`, e);
         }
         return data;
     }
 
-    // Set localStorage data
-    function setLocalStorage(data) {
-        try {
-            for (const [key, value] of Object.entries(data)) {
-                localStorage.setItem(key, value);
+    // Set Web Storage data
+    function setWebStorage(area, data) {
+        const result = createRestoreResult();
+        for (const [key, value] of Object.entries(data)) {
+            try {
+                window[area].setItem(key, value);
+                result.restored++;
+            } catch (e) {
+                console.error(`Failed to write ${area}:`, key, e);
+                result.failed.push({ item: key, error: getErrorMessage(e) });
             }
-        } catch (e) {
-            console.error('Failed to write localStorage:', e);
         }
+        return result;
     }
 
-    // Clear localStorage
-    function clearLocalStorage() {
+    // Clear a Web Storage area
+    function clearWebStorage(area) {
         try {
-            localStorage.clear();
+            window[area].clear();
         } catch (e) {
-            console.error('Failed to clear localStorage:', e);
+            console.error(`Failed to clear ${area}:`, e);
+        }
+    }
+
+    // Memory-safe chunked Base64 encoding
+    function arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const chunkSize = 65536; // Process in 64KB chunks
+        let binary = '';
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
+            binary += String.fromCharCode.apply(null, chunk);
+        }
+
+        return btoa(binary);
+    }
+
+    function base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // ============ IndexedDB Value Codec ============
+    // Records and keys go through extension messaging and chrome.storage JSON,
+    // which would turn Dates into strings and binary data, Maps and Sets into {}.
+    // Values that JSON can't represent are encoded as tagged objects
+    // ({ $t: type, ... }); plain objects that happen to have a $t property are
+    // wrapped so they aren't mistaken for tags.
+
+    const TYPED_ARRAYS = {
+        Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+        Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+    };
+
+    const ERROR_TYPES = ['EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'];
+
+    // Stores written with this codec are marked so older saved data (raw values) still restores
+    const IDB_ENCODING = 'tagged';
+
+    async function encodeValue(value, seen = new Set()) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'number') {
+            if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+            return { $t: 'Number', v: Object.is(value, -0) ? '-0' : String(value) };
+        }
+        if (typeof value === 'undefined') return { $t: 'undefined' };
+        if (typeof value === 'bigint') return { $t: 'BigInt', v: value.toString() };
+        if (typeof value !== 'object') {
+            throw new Error(`Cannot save value of type ${typeof value}`);
+        }
+
+        if (seen.has(value)) throw new Error('Cannot save circular references');
+        seen.add(value);
+
+        try {
+            if (value instanceof Date) return { $t: 'Date', v: value.getTime() };
+            if (value instanceof RegExp) return { $t: 'RegExp', source: value.source, flags: value.flags };
+            if (value instanceof ArrayBuffer) return { $t: 'ArrayBuffer', v: arrayBufferToBase64(value) };
+            if (ArrayBuffer.isView(value)) {
+                const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+                return { $t: value instanceof DataView ? 'DataView' : value.constructor.name, v: arrayBufferToBase64(bytes) };
+            }
+            if (value instanceof File) {
+                return { $t: 'File', name: value.name, type: value.type, lastModified: value.lastModified, v: arrayBufferToBase64(await value.arrayBuffer()) };
+            }
+            if (value instanceof Blob) {
+                return { $t: 'Blob', type: value.type, v: arrayBufferToBase64(await value.arrayBuffer()) };
+            }
+            if (value instanceof Map) {
+                const entries = [];
+                for (const [k, v] of value) {
+                    entries.push([await encodeValue(k, seen), await encodeValue(v, seen)]);
+                }
+                return { $t: 'Map', v: entries };
+            }
+            if (value instanceof Set) {
+                const items = [];
+                for (const item of value) {
+                    items.push(await encodeValue(item, seen));
+                }
+                return { $t: 'Set', v: items };
+            }
+            if (value instanceof Error) return { $t: 'Error', name: value.name, message: value.message };
+            if (value instanceof Boolean || value instanceof Number || value instanceof String) {
+                return { $t: 'Boxed', v: await encodeValue(value.valueOf(), seen) };
+            }
+            if (Array.isArray(value)) {
+                const items = [];
+                for (const item of value) {
+                    items.push(await encodeValue(item, seen));
+                }
+                return items;
+            }
+
+            const result = {};
+            for (const [k, v] of Object.entries(value)) {
+                result[k] = await encodeValue(v, seen);
+            }
+            return Object.prototype.hasOwnProperty.call(value, '$t') ? { $t: 'Object', v: result } : result;
+        } finally {
+            seen.delete(value);
+        }
+    }
+
+    function decodeValue(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(decodeValue);
+
+        if (!Object.prototype.hasOwnProperty.call(value, '$t')) {
+            const result = {};
+            for (const [k, v] of Object.entries(value)) {
+                result[k] = decodeValue(v);
+            }
+            return result;
+        }
+
+        switch (value.$t) {
+            case 'Number': return value.v === '-0' ? -0 : Number(value.v);
+            case 'undefined': return undefined;
+            case 'BigInt': return BigInt(value.v);
+            case 'Date': return new Date(value.v === null ? NaN : value.v);
+            case 'RegExp': return new RegExp(value.source, value.flags);
+            case 'ArrayBuffer': return base64ToArrayBuffer(value.v);
+            case 'DataView': return new DataView(base64ToArrayBuffer(value.v));
+            case 'File': return new File([base64ToArrayBuffer(value.v)], value.name, { type: value.type, lastModified: value.lastModified });
+            case 'Blob': return new Blob([base64ToArrayBuffer(value.v)], { type: value.type });
+            case 'Map': return new Map(value.v.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+            case 'Set': return new Set(value.v.map(decodeValue));
+            case 'Error': {
+                const ErrorType = ERROR_TYPES.includes(value.name) ? window[value.name] : Error;
+                return new ErrorType(value.message);
+            }
+            case 'Boxed': return Object(decodeValue(value.v));
+            case 'Object': {
+                const result = {};
+                for (const [k, v] of Object.entries(value.v)) {
+                    result[k] = decodeValue(v);
+                }
+                return result;
+            }
+            default:
+                if (TYPED_ARRAYS[value.$t]) return new TYPED_ARRAYS[value.$t](base64ToArrayBuffer(value.v));
+                throw new Error(`Unknown saved value type: ${value.$t}`);
         }
     }
 
@@ -112,6 +275,7 @@
                     name: storeName,
                     keyPath: store.keyPath,
                     autoIncrement: store.autoIncrement,
+                    encoding: IDB_ENCODING,
                     indexes: [],
                     data: []
                 };
@@ -134,20 +298,26 @@
                 let records = null;
                 let keys = null;
 
+                // Encoding reads Blobs asynchronously, so it runs after both requests finished
+                const finish = async () => {
+                    for (let i = 0; i < records.length; i++) {
+                        try {
+                            storeData.data.push({ key: await encodeValue(keys[i]), value: await encodeValue(records[i]) });
+                        } catch (e) {
+                            console.error('Failed to encode record:', storeName, keys[i], e);
+                        }
+                    }
+                    resolve(storeData);
+                };
+
                 request.onsuccess = () => {
                     records = request.result;
-                    if (keys !== null) {
-                        storeData.data = records.map((record, i) => ({ key: keys[i], value: record }));
-                        resolve(storeData);
-                    }
+                    if (keys !== null) finish();
                 };
 
                 keyRequest.onsuccess = () => {
                     keys = keyRequest.result;
-                    if (records !== null) {
-                        storeData.data = records.map((record, i) => ({ key: keys[i], value: record }));
-                        resolve(storeData);
-                    }
+                    if (records !== null) finish();
                 };
 
                 request.onerror = () => reject(request.error);
@@ -160,16 +330,23 @@
 
     // Restore IndexedDB data
     async function setIndexedDBData(databases) {
+        const result = createRestoreResult();
         for (const dbData of databases) {
             try {
-                await restoreDatabase(dbData);
+                const failedStores = await restoreDatabase(dbData);
+                if (failedStores.length === 0) {
+                    result.restored++;
+                }
+                result.failed.push(...failedStores);
             } catch (e) {
                 console.error('Failed to restore database:', dbData.name, e);
+                result.failed.push({ item: dbData.name, error: getErrorMessage(e) });
             }
         }
+        return result;
     }
 
-    // Restore a single database
+    // Restore a single database, resolves with the object stores that failed
     function restoreDatabase(dbData) {
         return new Promise((resolve, reject) => {
             // First, delete the existing database
@@ -204,6 +381,7 @@
 
                 request.onsuccess = async (event) => {
                     const db = event.target.result;
+                    const failedStores = [];
 
                     // Populate data
                     for (const storeData of dbData.objectStores) {
@@ -212,12 +390,13 @@
                                 await populateObjectStore(db, storeData);
                             } catch (e) {
                                 console.error('Failed to populate store:', storeData.name, e);
+                                failedStores.push({ item: `${dbData.name}/${storeData.name}`, error: getErrorMessage(e) });
                             }
                         }
                     }
 
                     db.close();
-                    resolve();
+                    resolve(failedStores);
                 };
 
                 request.onerror = () => reject(request.error);
@@ -230,10 +409,14 @@
     // Populate an object store with data
     function populateObjectStore(db, storeData) {
         return new Promise((resolve, reject) => {
+            // Decode before opening the transaction, it would commit while waiting
+            const decode = storeData.encoding === IDB_ENCODING ? decodeValue : value => value;
+            const records = storeData.data.map(record => ({ key: decode(record.key), value: decode(record.value) }));
+
             const transaction = db.transaction(storeData.name, 'readwrite');
             const store = transaction.objectStore(storeData.name);
 
-            for (const record of storeData.data) {
+            for (const record of records) {
                 if (storeData.keyPath === null) {
                     store.put(record.value, record.key);
                 } else {
@@ -260,6 +443,52 @@
         }
     }
 
+    // ============ Cache API ============
+    // Cache entries store their body as text only when the content type is
+    // textual and UTF-8, everything else as base64 (response.bodyEncoding says
+    // which). The request headers named by the response's Vary header are kept
+    // so cache.match() still finds the entry after a restore.
+
+    const TEXT_CONTENT_TYPES = /^(text\/[^;]+|application\/([\w.+-]+\+)?(json|xml|javascript|ecmascript|x-www-form-urlencoded)|image\/svg\+xml)\s*(;|$)/i;
+    const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+    // The saved body is the decoded one, these headers describe the body as it was sent
+    const BODY_ENCODING_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+    function isTextContentType(contentType) {
+        if (!contentType || !TEXT_CONTENT_TYPES.test(contentType)) return false;
+
+        // response.text() always decodes UTF-8, other charsets would be mangled
+        const charset = /;\s*charset\s*=\s*"?([^";\s]+)/i.exec(contentType);
+        return !charset || /^utf-?8$/i.test(charset[1]);
+    }
+
+    function getVaryHeaders(request, response) {
+        const vary = response.headers.get('vary');
+        const headers = {};
+        if (!vary) return headers;
+
+        for (const name of vary.split(',').map(h => h.trim().toLowerCase())) {
+            if (!name || name === '*') continue;
+
+            const value = request.headers.get(name);
+            if (value !== null) {
+                headers[name] = value;
+            }
+        }
+        return headers;
+    }
+
+    // Read a response body in the encoding chosen from its content type
+    async function serializeResponseBody(response) {
+        if (isTextContentType(response.headers.get('content-type'))) {
+            const text = await response.clone().text();
+            return { body: text, bodyEncoding: 'text', size: new TextEncoder().encode(text).length };
+        }
+
+        const buffer = await response.clone().arrayBuffer();
+        return { body: arrayBufferToBase64(buffer), bodyEncoding: 'base64', size: buffer.byteLength };
+    }
+
     // Get all Cache API data with size limit
     async function getCacheData(maxSizeMB = 50) {
         const MB = 1024 * 1024;
@@ -268,20 +497,6 @@
         const caches_data = [];
         let totalSize = 0;
 
-        // Memory-safe chunked Base64 encoding
-        function arrayBufferToBase64(buffer) {
-            const bytes = new Uint8Array(buffer);
-            const chunkSize = 65536; // Process in 64KB chunks
-            let binary = '';
-
-            for (let i = 0; i < bytes.length; i += chunkSize) {
-                const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-                binary += String.fromCharCode.apply(null, chunk);
-            }
-
-            return btoa(binary);
-        }
-
         try {
             if ('caches' in window) {
                 const cacheNames = await caches.keys();
@@ -306,6 +521,13 @@
                         }
 
                         const response = await cache.match(request);
+
+                        // Opaque (no-cors) responses can't be read or re-created
+                        if (response && response.type === 'opaque') {
+                            console.log(`Skipping opaque cache entry: ${request.url}`);
+                            continue;
+                        }
+
                         if (response) {
                             // Estimate response size before processing
                             const contentLength = response.headers.get('content-length');
@@ -323,45 +545,35 @@
                                 headers[key] = value;
                             });
 
-                            let body = null;
-                            let bodySize = 0;
+                            let serialized;
                             try {
-                                // Try to get body as text (works for most web content)
-                                body = await response.clone().text();
-                                bodySize = body.length;
-
-                                // Double-check size after getting actual content
-                                if (bodySize > MAX_SINGLE_ENTRY_MB * MB) {
-                                    console.log(`Skipping large text response: ${request.url} (${(bodySize / MB).toFixed(1)} MB)`);
-                                    continue;
-                                }
+                                serialized = await serializeResponseBody(response);
                             } catch (e) {
-                                // If text fails, try as base64 with chunked encoding
-                                try {
-                                    const buffer = await response.clone().arrayBuffer();
-
-                                    // Skip if too large
-                                    if (buffer.byteLength > MAX_SINGLE_ENTRY_MB * MB) {
-                                        console.log(`Skipping large binary response: ${request.url} (${(buffer.byteLength / MB).toFixed(1)} MB)`);
-                                        continue;
-                                    }
-
-                                    body = arrayBufferToBase64(buffer);
-                                    bodySize = body.length;
-                                } catch (e2) {
-                                    console.error('Failed to serialize response body:', e2);
-                                    continue;
-                                }
+                                console.error('Failed to serialize response body:', e);
+                                continue;
+                            }
+
+                            // Double-check size after getting actual content
+                            if (serialized.size > MAX_SINGLE_ENTRY_MB * MB) {
+                                console.log(`Skipping large response: ${request.url} (${(serialized.size / MB).toFixed(1)} MB)`);
+                                continue;
                             }
 
+                            const bodySize = serialized.body.length; // Stored size (base64 is larger)
                             cacheSize += bodySize;
                             entries.push({
                                 url: request.url,
+                                request: {
+                                    method: request.method,
+                                    headers: getVaryHeaders(request, response)
+                                },
                                 response: {
                                     status: response.status,
                                     statusText: response.statusText,
                                     headers: headers,
-                                    body: body,
+                                    body: serialized.body,
+                                    bodyEncoding: serialized.bodyEncoding,
+                                    size: serialized.size,
                                     type: response.type
                                 }
                             });
@@ -388,6 +600,7 @@
 
     // Restore Cache API data
     async function setCacheData(caches_data) {
+        const result = createRestoreResult();
         try {
             if ('caches' in window) {
                 for (const cacheData of caches_data) {
@@ -395,22 +608,43 @@
 
                     for (const entry of cacheData.entries) {
                         try {
-                            const response = new Response(entry.response.body, {
+                            // Entries saved by older versions have no bodyEncoding and a text body
+                            let body = entry.response.bodyEncoding === 'base64'
+                                ? base64ToArrayBuffer(entry.response.body)
+                                : entry.response.body;
+                            if (NULL_BODY_STATUSES.includes(entry.response.status)) {
+                                body = null;
+                            }
+
+                            const headers = new Headers(entry.response.headers);
+                            BODY_ENCODING_HEADERS.forEach(name => headers.delete(name));
+
+                            const response = new Response(body, {
                                 status: entry.response.status,
                                 statusText: entry.response.statusText,
-                                headers: entry.response.headers
+                                headers: headers
+                            });
+
+                            // Re-create the request with its Vary headers so cache.match() finds it
+                            const request = new Request(entry.url, {
+                                method: (entry.request && entry.request.method) || 'GET',
+                                headers: (entry.request && entry.request.headers) || {}
                             });
 
-                            await cache.put(entry.url, response);
+                            await cache.put(request, response);
+                            result.restored++;
                         } catch (e) {
                             console.error('Failed to restore cache entry:', entry.url, e);
+                            result.failed.push({ item: entry.url, error: getErrorMessage(e) });
                         }
                     }
                 }
             }
         } catch (e) {
             console.error('Failed to restore Cache API:', e);
+            result.failed.push({ item: 'Cache API', error: getErrorMessage(e) });
         }
+        return result;
     }
 
     // Clear all caches
@@ -427,6 +661,276 @@
         }
     }
 
+    // ============ Origin Private File System ============
+    // Saved as a flat list of directory paths and files (base64 contents) so
+    // empty directories survive and restoring can create parents first.
+
+    function getOPFSRoot() {
+        return navigator.storage && navigator.storage.getDirectory ? navigator.storage.getDirectory() : null;
+    }
+
+    // Get all OPFS directories and files, skipping files once the size limit is reached
+    async function getOPFSData(maxSizeMB = 50) {
+        const maxBytes = maxSizeMB * 1024 * 1024;
+        const opfs = { directories: [], files: [], size: 0 };
+
+        async function walk(directory, prefix) {
+            for await (const [name, handle] of directory.entries()) {
+                const path = prefix + name;
+
+                if (handle.kind === 'directory') {
+                    opfs.directories.push(path);
+                    await walk(handle, path + '/');
+                    continue;
+                }
+
+                try {
+                    const file = await handle.getFile();
+                    if (opfs.size + file.size > maxBytes) {
+                        console.warn(`OPFS size limit reached (${maxSizeMB} MB), skipping ${path}`);
+                        continue;
+                    }
+
+                    opfs.files.push({
+                        path: path,
+                        size: file.size,
+                        lastModified: file.lastModified,
+                        data: arrayBufferToBase64(await file.arrayBuffer())
+                    });
+                    opfs.size += file.size;
+                } catch (e) {
+                    // Files held open by a sync access handle (e.g. SQLite in a worker) can't be read
+                    console.error('Failed to read OPFS file:', path, e);
+                }
+            }
+        }
+
+        try {
+            const root = await getOPFSRoot();
+            if (!root) return null;
+            await walk(root, '');
+        } catch (e) {
+            console.error('Failed to read OPFS:', e);
+            return null;
+        }
+
+        return opfs.directories.length > 0 || opfs.files.length > 0 ? opfs : null;
+    }
+
+    async function getOPFSDirectory(root, path) {
+        let directory = root;
+        for (const name of path.split('/').filter(Boolean)) {
+            directory = await directory.getDirectoryHandle(name, { create: true });
+        }
+        return directory;
+    }
+
+    // Restore OPFS directories and files, overwriting files with the same path
+    async function setOPFSData(opfs) {
+        const result = createRestoreResult();
+
+        let root;
+        try {
+            root = await getOPFSRoot();
+            if (!root) throw new Error('OPFS is not supported');
+        } catch (e) {
+            result.failed.push({ item: 'OPFS', error: getErrorMessage(e) });
+            return result;
+        }
+
+        for (const path of opfs.directories || []) {
+            try {
+                await getOPFSDirectory(root, path);
+            } catch (e) {
+                console.error('Failed to create OPFS directory:', path, e);
+                result.failed.push({ item: path + '/', error: getErrorMessage(e) });
+            }
+        }
+
+        for (const file of opfs.files || []) {
+            try {
+                const separator = file.path.lastIndexOf('/');
+                const directory = await getOPFSDirectory(root, file.path.slice(0, Math.max(separator, 0)));
+                const handle = await directory.getFileHandle(file.path.slice(separator + 1), { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(base64ToArrayBuffer(file.data));
+                await writable.close();
+                result.restored++;
+            } catch (e) {
+                console.error('Failed to restore OPFS file:', file.path, e);
+                result.failed.push({ item: file.path, error: getErrorMessage(e) });
+            }
+        }
+
+        return result;
+    }
+
+    async function clearOPFS() {
+        try {
+            const root = await getOPFSRoot();
+            if (!root) return;
+
+            const names = [];
+            for await (const name of root.keys()) {
+                names.push(name);
+            }
+            for (const name of names) {
+                await root.removeEntry(name, { recursive: true });
+            }
+        } catch (e) {
+            console.error('Failed to clear OPFS:', e);
+        }
+    }
+
+    // ============ Restore ============
+
+    // Restore saved data into this frame, returns the results per storage type
+    async function restoreStorageData({ data, clearFirst, includeCache, includeOPFS }) {
+        const report = {};
+
+        if (clearFirst) {
+            clearWebStorage('localStorage');
+            clearWebStorage('sessionStorage');
+            await clearIndexedDB();
+            if (includeCache) {
+                await clearCacheStorage();
+            }
+            if (includeOPFS) {
+                await clearOPFS();
+            }
+        }
+
+        if (data.localStorage) {
+            report.localStorage = setWebStorage('localStorage', data.localStorage);
+        }
+
+        if (data.sessionStorage) {
+            report.sessionStorage = setWebStorage('sessionStorage', data.sessionStorage);
+        }
+
+        if (data.indexedDB) {
+            report.indexedDB = await setIndexedDBData(data.indexedDB);
+        }
+
+        if (includeCache && data.cacheStorage) {
+            report.cacheStorage = await setCacheData(data.cacheStorage);
+        }
+
+        if (includeOPFS && data.opfs) {
+            report.opfs = await setOPFSData(data.opfs);
+        }
+
+        return report;
+    }
+
+    // ============ Early Restore ============
+    // Every frame asks for its saved data at document_start. The answer comes after the
+    // page's scripts started, so localStorage written from it is late. A preload script
+    // (registered by the background where user scripts are allowed) hands over the top
+    // frame's saved localStorage before them, and idb-gate.js holds back the page's
+    // indexedDB.open() until the restore is done. Restores that still came late can be
+    // followed by a one-time reload.
+
+    const IDB_GATE_WAITING_EVENT = 'save-private-window-data:idb-gate-waiting';
+    const IDB_GATE_RELEASE_EVENT = 'save-private-window-data:idb-gate-release';
+    const PRELOAD_DATA_EVENT = 'save-private-window-data:preload-data';
+    const PRELOAD_REQUEST_EVENT = 'save-private-window-data:preload-request';
+
+    let indexedDBGateReleased = false;
+    let indexedDBGated = false;
+
+    function releaseIndexedDBGate() {
+        indexedDBGateReleased = true;
+        document.dispatchEvent(new CustomEvent(IDB_GATE_RELEASE_EVENT));
+    }
+
+    // The gate can start after this script, it asks again once it runs
+    document.addEventListener(IDB_GATE_WAITING_EVENT, () => {
+        indexedDBGated = true;
+        if (indexedDBGateReleased) {
+            document.dispatchEvent(new CustomEvent(IDB_GATE_RELEASE_EVENT));
+        }
+    });
+
+    // Results of the localStorage written by the preload script, null if there was none
+    let preloadResult = null;
+
+    // Taken in normal windows too, so the page can't ask the preload script for the data later
+    function onPreloadData(event) {
+        event.preventDefault();
+        document.removeEventListener(PRELOAD_DATA_EVENT, onPreloadData);
+        if (!chrome.extension.inIncognitoContext) return;
+
+        try {
+            const { origin, localStorage } = JSON.parse(event.detail);
+            // Match patterns can't tell ports apart
+            if (origin === location.origin) {
+                preloadResult = setWebStorage('localStorage', localStorage);
+            }
+        } catch (e) {
+            console.error('Failed to read preloaded data:', e);
+        }
+    }
+
+    if (window === window.top) {
+        document.addEventListener(PRELOAD_DATA_EVENT, onPreloadData);
+        document.dispatchEvent(new CustomEvent(PRELOAD_REQUEST_EVENT));
+    }
+
+    // Web storage written after the page's scripts started, or IndexedDB restored without the gate
+    function isLateRestore(report) {
+        const restored = type => report[type] && report[type].restored > 0;
+        return restored('localStorage') || restored('sessionStorage') || (restored('indexedDB') && !indexedDBGated);
+    }
+
+    async function earlyRestore() {
+        let response = null;
+        const report = {};
+        let late = false;
+
+        try {
+            response = await chrome.runtime.sendMessage({ action: 'getEarlyRestoreData' });
+            if (response && response.data) {
+                // The preload script ran before the answer came, whichever of the scripts started first
+                if (preloadResult) {
+                    delete response.data.localStorage;
+                }
+                const restored = await restoreStorageData(response);
+                late = isLateRestore(restored);
+                Object.assign(report, restored);
+            }
+        } catch (e) {
+            // Extension context might not be available
+        } finally {
+            releaseIndexedDBGate();
+        }
+
+        if (preloadResult) {
+            report.localStorage = preloadResult;
+        }
+        if (Object.keys(report).length === 0) return;
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'earlyRestoreDone',
+                key: response ? response.key : location.origin,
+                report: report,
+                late: late
+            });
+            if (result && result.reload) {
+                location.reload();
+            }
+        } catch (e) {
+            // Extension context might not be available
+        }
+    }
+
+    if (chrome.extension.inIncognitoContext) {
+        earlyRestore();
+    } else {
+        releaseIndexedDBGate();
+    }
+
     // Message handler
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.action === 'getStorageData') {
@@ -434,7 +938,8 @@
             (async () => {
                 const data = {
                     origin: window.location.origin,
-                    localStorage: getLocalStorage(),
+                    localStorage: getWebStorage('localStorage'),
+                    sessionStorage: getWebStorage('sessionStorage'),
                     indexedDB: await getIndexedDBData()
                 };
 
@@ -444,6 +949,10 @@
                     data.cacheStorage = await getCacheData(cacheSizeLimit);
                 }
 
+                if (message.includeOPFS) {
+                    data.opfs = await getOPFSData(message.opfsSizeLimit || 50);
+                }
+
                 sendResponse(data);
             })();
 
@@ -452,42 +961,24 @@
 
         if (message.action === 'setStorageData') {
             // Restore storage data for this origin
-            (async () => {
-                const data = message.data;
-
-                if (message.clearFirst) {
-                    clearLocalStorage();
-                    await clearIndexedDB();
-                    if (message.includeCache) {
-                        await clearCacheStorage();
-                    }
-                }
-
-                if (data.localStorage) {
-                    setLocalStorage(data.localStorage);
-                }
-
-                if (data.indexedDB) {
-                    await setIndexedDBData(data.indexedDB);
-                }
-
-                if (message.includeCache && data.cacheStorage) {
-                    await setCacheData(data.cacheStorage);
-                }
-
-                sendResponse({ success: true });
-            })();
+            restoreStorageData(message).then((report) => {
+                sendResponse({ success: true, report: report });
+            });
 
             return true;
         }
 
         if (message.action === 'clearStorageData') {
             (async () => {
-                clearLocalStorage();
+                clearWebStorage('localStorage');
+                clearWebStorage('sessionStorage');
                 await clearIndexedDB();
                 if (message.includeCache) {
                     await clearCacheStorage();
                 }
+                if (message.includeOPFS) {
+                    await clearOPFS();
+                }
                 sendResponse({ success: true });
             })();
 
@@ -518,11 +1009,12 @@
         if (!autoSaveEnabled) return;
 
         try {
-            const settings = await chrome.storage.local.get(['save_localStorage', 'save_indexedDB', 'save_cacheAPI', 'cache_size_limit_mb']);
+            const settings = await chrome.storage.local.get(['save_localStorage', 'save_sessionStorage', 'save_indexedDB', 'save_cacheAPI', 'cache_size_limit_mb', 'save_opfs', 'opfs_size_limit_mb']);
 
             const data = {
                 origin: window.location.origin,
-                localStorage: settings.save_localStorage !== false ? getLocalStorage() : null,
+                localStorage: settings.save_localStorage !== false ? getWebStorage('localStorage') : null,
+                sessionStorage: settings.save_sessionStorage ? getWebStorage('sessionStorage') : null,
                 indexedDB: settings.save_indexedDB !== false ? await getIndexedDBData() : null
             };
 
@@ -531,6 +1023,10 @@
                 data.cacheStorage = await getCacheData(cacheSizeLimit);
             }
 
+            if (settings.save_opfs) {
+                data.opfs = await getOPFSData(settings.opfs_size_limit_mb || 50);
+            }
+
             // Send to background for saving
             await chrome.runtime.sendMessage({
                 action: 'saveOriginData',
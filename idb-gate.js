@@ -0,0 +1,110 @@
+// IndexedDB gate, runs in the page's own world at document_start
+// Registered by the background for origins with saved IndexedDB data. Holds back
+// the page's indexedDB.open() calls until the content script has restored the
+// saved databases, so the page doesn't open (and initialize) empty ones first.
+
+(function () {
+    'use strict';
+
+    // Shared with content.js, events on the document cross between the worlds
+    const WAITING_EVENT = 'save-private-window-data:idb-gate-waiting';
+    const RELEASE_EVENT = 'save-private-window-data:idb-gate-release';
+
+    // Never hold the page back longer, e.g. when the extension doesn't respond
+    const MAX_WAIT_MS = 5000;
+
+    if (typeof IDBFactory === 'undefined') return;
+
+    const factory = IDBFactory.prototype;
+    const open = factory.open;
+    const queue = [];
+    let released = false;
+
+    function release() {
+        if (released) return;
+        released = true;
+        factory.open = open;
+        document.removeEventListener(RELEASE_EVENT, release);
+        for (const run of queue.splice(0)) {
+            run();
+        }
+    }
+
+    // Stand-in for the IDBOpenDBRequest returned by open(). Events of the real
+    // request are re-dispatched on it once the gate is released.
+    function createDeferredRequest() {
+        const request = new EventTarget();
+        Object.setPrototypeOf(request, IDBOpenDBRequest.prototype);
+
+        const handlers = {};
+        let real = null;
+
+        function getRealProperty(name) {
+            if (!real) {
+                throw new DOMException('The request has not finished.', 'InvalidStateError');
+            }
+            return real[name];
+        }
+
+        Object.defineProperties(request, {
+            result: { get: () => getRealProperty('result') },
+            error: { get: () => getRealProperty('error') },
+            source: { get: () => null },
+            transaction: { get: () => real ? real.transaction : null },
+            readyState: { get: () => real ? real.readyState : 'pending' }
+        });
+
+        for (const type of ['upgradeneeded', 'blocked', 'success', 'error']) {
+            Object.defineProperty(request, 'on' + type, {
+                get: () => handlers[type] || null,
+                set: (handler) => { handlers[type] = typeof handler === 'function' ? handler : null; }
+            });
+        }
+
+        function attach(realRequest) {
+            real = realRequest;
+
+            for (const type of ['upgradeneeded', 'blocked', 'success', 'error']) {
+                // Dispatched synchronously, so a versionchange transaction is still active
+                real.addEventListener(type, (event) => {
+                    const copy = type === 'upgradeneeded' || type === 'blocked'
+                        ? new IDBVersionChangeEvent(type, { oldVersion: event.oldVersion, newVersion: event.newVersion })
+                        : new Event(type, { bubbles: event.bubbles, cancelable: event.cancelable });
+
+                    request.dispatchEvent(copy);
+                    if (handlers[type]) {
+                        handlers[type].call(request, copy);
+                    }
+                    if (copy.defaultPrevented) {
+                        event.preventDefault();
+                    }
+                });
+            }
+        }
+
+        return { request, attach };
+    }
+
+    factory.open = function (...args) {
+        if (released) {
+            return open.apply(this, args);
+        }
+
+        const deferred = createDeferredRequest();
+        queue.push(() => {
+            try {
+                deferred.attach(open.apply(this, args));
+            } catch (e) {
+                // e.g. an invalid version, which can't be thrown at the caller anymore
+                console.error(e);
+            }
+        });
+        return deferred.request;
+    };
+
+    document.addEventListener(RELEASE_EVENT, release);
+    setTimeout(release, MAX_WAIT_MS);
+
+    // The content script may already be done, it answers with the release event
+    document.dispatchEvent(new CustomEvent(WAITING_EVENT));
+})();
@@ -0,0 +1,517 @@
+// Inspector page script - browse, search and edit saved data per origin
+// Uses shared utilities from utils.js (loaded before this script)
+
+const listEl = document.getElementById('origin_list');
+const summaryEl = document.getElementById('summary');
+const searchInput = document.getElementById('search');
+const profileSelect = document.getElementById('profile');
+const statusEl = document.getElementById('status');
+
+// Saved data of the selected profile as loaded, edits are applied to the stored data (persist*())
+let saved = null;
+let currentProfile = null;
+let settings = null;
+let index = null;
+let storedCookies = 0;
+// Stored size of the other profiles and snapshots, counted against the storage budget
+let sharedStored = 0;
+
+// Set while an inline editor is open so storage updates don't re-render over it
+let editing = false;
+
+// Key/value storage types, edited the same way
+const WEB_STORAGE_AREAS = ['localStorage', 'sessionStorage'];
+
+// ============ Helpers ============
+
+function el(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+        if (key.startsWith('on')) {
+            node.addEventListener(key.slice(2).toLowerCase(), value);
+        } else {
+            node[key] = value;
+        }
+    }
+    node.append(...children.filter(child => child !== null && child !== undefined));
+    return node;
+}
+
+function getCookieHost(cookie) {
+    return (cookie.domain || '').replace(/^\./, '');
+}
+
+function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.className = 'status ' + (isError ? 'error' : 'success');
+    setTimeout(() => {
+        statusEl.className = 'status';
+    }, 3000);
+}
+
+// Edits start from the data saved now, not the copy this page loaded: an auto-save
+// may have run while an editor was open. Only the edited part is written.
+async function persist(message, write) {
+    try {
+        await write();
+        showStatus('✅ ' + message);
+    } catch (e) {
+        console.error('Failed to save changes:', e);
+        showStatus('❌ ' + e.message, true);
+    }
+    await loadData();
+}
+
+/**
+ * Change the saved cookies of the current profile.
+ * @param {string} message - Shown once saved
+ * @param {function(Array): Array} update - Gets the saved cookies, returns the new ones
+ */
+function persistCookies(message, update) {
+    return persist(message, async () => {
+        const { cookies } = await getSavedData(['cookies'], currentProfile);
+        await setSavedData({ cookies: update(cookies) }, currentProfile);
+    });
+}
+
+/**
+ * Change one storage type of an origin, only its shard is written.
+ * @param {string} message - Shown once saved
+ * @param {Object} entry - From buildEntries
+ * @param {string} type - e.g. 'localStorage'
+ * @param {function(*): *} update - Gets the saved value, returns the new one (null removes it)
+ */
+function persistOriginType(message, entry, type, update) {
+    return persist(message, () => updateSavedOriginType(entry.origin, type, update, currentProfile));
+}
+
+// The same cookie in freshly read data
+function isSameCookie(a, b) {
+    return getCookieIdentity(a) === getCookieIdentity(b);
+}
+
+// ============ Data Loading ============
+
+async function loadProfiles() {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    profileSelect.textContent = '';
+    for (const profile of settings.profiles) {
+        profileSelect.appendChild(new Option(profile, profile));
+    }
+    profileSelect.value = currentProfile || settings.active_profile;
+    currentProfile = profileSelect.value;
+}
+
+async function loadData() {
+    if (await isSavedDataLocked()) {
+        saved = null;
+        summaryEl.textContent = '🔒 Saved data is locked. Unlock it from the extension popup, then reload this page.';
+        listEl.textContent = '';
+        return;
+    }
+
+    settings = await chrome.storage.local.get(defaultSettings);
+    index = await getSavedDataIndex(currentProfile);
+    storedCookies = await getStoredCookiesSize(currentProfile);
+    if (settings.storage_budget_mb) {
+        const shared = await getSharedStorageUsage(currentProfile);
+        sharedStored = shared.profiles + shared.snapshots.reduce((sum, entry) => sum + getSnapshotStoredSize(entry), 0);
+    }
+    saved = await getSavedData(SAVED_DATA_KEYS, currentProfile);
+    render();
+}
+
+/**
+ * Group saved data by origin. Cookies are listed under every saved origin with
+ * the same host; cookies for hosts without web storage get an entry of their own.
+ * @returns {Array<{key: string, host: string, origin: string|null, cookies: Array, data: Object}>}
+ */
+function buildEntries() {
+    const entries = {};
+    const hosts = {};
+
+    for (const origin of Object.keys(saved.webStorage)) {
+        let host = origin;
+        try {
+            host = new URL(parseStorageKey(origin).origin).hostname;
+        } catch {
+            // Keep the raw key for malformed origins
+        }
+        entries[origin] = { key: origin, host: host, origin: origin, cookies: [], data: saved.webStorage[origin] };
+        (hosts[host] = hosts[host] || []).push(entries[origin]);
+    }
+
+    for (const cookie of saved.cookies) {
+        const host = getCookieHost(cookie);
+        if (!hosts[host]) {
+            entries[host] = { key: host, host: host, origin: null, cookies: [], data: {} };
+            hosts[host] = [entries[host]];
+        }
+        for (const entry of hosts[host]) {
+            entry.cookies.push(cookie);
+        }
+    }
+
+    return Object.values(entries).sort((a, b) => a.host.localeCompare(b.host) || a.key.localeCompare(b.key));
+}
+
+function matchesSearch(entry, query) {
+    if (!query) return true;
+
+    const haystack = [entry.key];
+    for (const cookie of entry.cookies) {
+        haystack.push(cookie.name, cookie.value);
+    }
+    for (const area of WEB_STORAGE_AREAS) {
+        for (const [key, value] of Object.entries(entry.data[area] || {})) {
+            haystack.push(key, String(value));
+        }
+    }
+    for (const db of entry.data.indexedDB || []) {
+        haystack.push(db.name, ...db.objectStores.map(store => store.name));
+    }
+    for (const cache of entry.data.cacheStorage || []) {
+        haystack.push(cache.name, ...cache.entries.map(item => item.url));
+    }
+    if (entry.data.opfs) {
+        haystack.push(...entry.data.opfs.directories, ...entry.data.opfs.files.map(file => file.path));
+    }
+
+    return haystack.some(text => String(text).toLowerCase().includes(query));
+}
+
+// ============ Rendering ============
+
+function render() {
+    if (!saved || editing) return;
+
+    const query = searchInput.value.trim().toLowerCase();
+    const entries = buildEntries();
+    const visible = entries.filter(entry => matchesSearch(entry, query));
+
+    const budget = settings.storage_budget_mb * 1024 * 1024;
+    const usage = getStorageUsage(index, saved.cookies, storedCookies);
+    summaryEl.textContent = `${plural(saved.cookies.length, 'cookie')} and ${plural(Object.keys(saved.webStorage).length, 'origin')} ` +
+        `(${formatBytes(usage.total)}, ${formatBytes(usage.stored)} stored) in profile "${currentProfile}"` +
+        (budget ? ` · ${formatBytes(usage.stored + sharedStored)} of ${formatBytes(budget)} budget with other profiles and snapshots` : '') +
+        (query ? ` · ${visible.length} of ${entries.length} entries match` : '');
+
+    // Keep expanded entries open across re-renders
+    const open = new Set(Array.from(listEl.querySelectorAll('details[open]')).map(node => node.dataset.key));
+
+    listEl.textContent = '';
+    if (visible.length === 0) {
+        listEl.appendChild(el('p', { className: 'empty', textContent: query ? 'No matches' : 'No saved data' }));
+        return;
+    }
+
+    for (const entry of visible) {
+        listEl.appendChild(renderEntry(entry, open.has(entry.key) || (!!query && visible.length <= 5)));
+    }
+}
+
+function renderEntry(entry, isOpen) {
+    const { data } = entry;
+    const meta = [];
+    if (entry.cookies.length) meta.push(plural(entry.cookies.length, 'cookie'));
+    const keyCount = WEB_STORAGE_AREAS.reduce((sum, area) => sum + Object.keys(data[area] || {}).length, 0);
+    if (keyCount) meta.push(plural(keyCount, 'key'));
+    if (data.indexedDB) meta.push(plural(data.indexedDB.length, 'database'));
+    if (data.cacheStorage) meta.push(plural(data.cacheStorage.length, 'cache'));
+    if (data.opfs) meta.push(plural(data.opfs.files.length, 'file'));
+    meta.push(formatBytes(getJSONSize(data) + getJSONSize(entry.cookies)));
+    const pinned = !!entry.origin && settings.pinned_origins.includes(entry.origin);
+    const visited = entry.origin && index[entry.origin] && index[entry.origin].visited;
+    if (visited) meta.push(`visited ${formatTimeAgo(visited).toLowerCase()}`);
+
+    const details = el('details', { className: 'origin', open: isOpen },
+        el('summary', {},
+            el('span', { className: 'origin-name', textContent: entry.origin ? formatStorageKey(entry.origin) : `${entry.host} (cookies only)` }),
+            el('span', { className: 'origin-meta', textContent: meta.join(' · ') }),
+            entry.origin ? el('button', {
+                className: 'btn btn-secondary btn-small', textContent: pinned ? '📌 Pinned' : 'Pin',
+                title: pinned ? 'Allow dropping this origin to stay within the storage budget' : 'Never drop this origin to stay within the storage budget',
+                onClick: (e) => {
+                    e.preventDefault();
+                    togglePinned(entry);
+                }
+            }) : null,
+            el('button', {
+                className: 'btn btn-danger btn-small', textContent: 'Delete', title: 'Delete all data of this origin',
+                onClick: (e) => {
+                    e.preventDefault();
+                    deleteEntry(entry);
+                }
+            })
+        ),
+        renderCookies(entry),
+        ...WEB_STORAGE_AREAS.map(area => renderWebStorage(entry, area)),
+        renderIndexedDB(entry),
+        renderCacheStorage(entry),
+        renderOPFS(entry)
+    );
+    details.dataset.key = entry.key;
+    return details;
+}
+
+function renderCookies(entry) {
+    if (entry.cookies.length === 0) return null;
+
+    const rows = entry.cookies.map(cookie => el('tr', {},
+        el('td', { className: 'key', textContent: cookie.name }),
+        el('td', { className: 'value', textContent: cookie.value }),
+        el('td', {
+            className: 'detail',
+            textContent: `${cookie.domain}${cookie.path}` +
+                (cookie.expirationDate ? ` · expires ${new Date(cookie.expirationDate * 1000).toLocaleString()}` : ' · session') +
+                (cookie.firstCaptured ? ` · first captured ${new Date(cookie.firstCaptured).toLocaleString()}` : '')
+        }),
+        el('td', { className: 'actions' },
+            el('button', { className: 'btn btn-secondary btn-small', textContent: 'Edit', onClick: (e) => editValue(e.target, cookie.value, value => updateCookie(cookie, value)) }),
+            el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteCookie(cookie) })
+        )
+    ));
+
+    return el('div', { className: 'storage-section' },
+        el('h3', { textContent: 'Cookies' }),
+        el('table', {}, ...rows)
+    );
+}
+
+function renderWebStorage(entry, area) {
+    const storage = entry.data[area];
+    if (!storage) return null;
+
+    const rows = Object.entries(storage).map(([key, value]) => el('tr', {},
+        el('td', { className: 'key', textContent: key }),
+        el('td', { className: 'value', textContent: String(value) }),
+        el('td', { className: 'actions' },
+            el('button', { className: 'btn btn-secondary btn-small', textContent: 'Edit', onClick: (e) => editValue(e.target, String(value), newValue => updateWebStorage(entry, area, key, newValue)) }),
+            el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteWebStorageKey(entry, area, key) })
+        )
+    ));
+
+    return el('div', { className: 'storage-section' },
+        el('h3', { textContent: `${area} (${formatBytes(getJSONSize(storage))})` }),
+        el('table', {}, ...rows)
+    );
+}
+
+function renderIndexedDB(entry) {
+    const databases = entry.data.indexedDB;
+    if (!databases) return null;
+
+    const items = databases.map(db => el('div', { className: 'storage-item' },
+        el('div', { className: 'storage-item-header' },
+            el('span', { className: 'key', textContent: `${db.name} (v${db.version})` }),
+            el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteDatabase(entry, db) })
+        ),
+        el('ul', {}, ...db.objectStores.map(store => el('li', {
+            textContent: `${store.name}: ${plural(store.data.length, 'record')}, ${formatBytes(getJSONSize(store.data))}`
+        })))
+    ));
+
+    return el('div', { className: 'storage-section' },
+        el('h3', { textContent: `IndexedDB (${formatBytes(getJSONSize(databases))})` }),
+        ...items
+    );
+}
+
+function renderCacheStorage(entry) {
+    const caches = entry.data.cacheStorage;
+    if (!caches) return null;
+
+    const items = caches.map(cache => el('div', { className: 'storage-item' },
+        el('div', { className: 'storage-item-header' },
+            el('span', { className: 'key', textContent: `${cache.name} (${plural(cache.entries.length, 'entry', 'entries')})` }),
+            el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteCache(entry, cache) })
+        ),
+        el('table', {}, ...cache.entries.map(item => el('tr', {},
+            el('td', { className: 'value', textContent: item.url }),
+            el('td', {
+                className: 'detail',
+                textContent: [
+                    item.response.status,
+                    (item.response.headers && item.response.headers['content-type']) || 'unknown type',
+                    formatBytes(getCacheBodySize(item.response)) + (item.response.bodyEncoding === 'base64' ? ' binary' : '')
+                ].join(' · ')
+            }),
+            el('td', { className: 'actions' },
+                el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteCacheEntry(entry, cache, item) })
+            )
+        )))
+    ));
+
+    return el('div', { className: 'storage-section' },
+        el('h3', { textContent: `Cache API (${formatBytes(getJSONSize(caches))})` }),
+        ...items
+    );
+}
+
+function renderOPFS(entry) {
+    const opfs = entry.data.opfs;
+    if (!opfs) return null;
+
+    const rows = opfs.files.map(file => el('tr', {},
+        el('td', { className: 'value', textContent: file.path }),
+        el('td', {
+            className: 'detail',
+            textContent: `${formatBytes(file.size)} · modified ${new Date(file.lastModified).toLocaleString()}`
+        }),
+        el('td', { className: 'actions' },
+            el('button', { className: 'btn btn-danger btn-small', textContent: 'Delete', onClick: () => deleteOPFSFile(entry, file) })
+        )
+    ));
+
+    return el('div', { className: 'storage-section' },
+        el('h3', { textContent: `OPFS (${formatBytes(opfs.size)}, ${plural(opfs.directories.length, 'folder')})` }),
+        el('table', {}, ...rows)
+    );
+}
+
+/**
+ * Replace a table row's value cell with an inline editor.
+ * @param {HTMLElement} button - The Edit button of the row
+ * @param {string} value - Current value
+ * @param {Function} onSave - Called with the new value
+ */
+function editValue(button, value, onSave) {
+    const cell = button.closest('tr').querySelector('.value');
+    const textarea = el('textarea', { value: value, rows: Math.min(8, Math.max(2, Math.ceil(value.length / 60))) });
+
+    editing = true;
+    cell.textContent = '';
+    cell.append(textarea,
+        el('div', { className: 'edit-buttons' },
+            el('button', {
+                className: 'btn btn-primary btn-small', textContent: 'Save', onClick: () => {
+                    editing = false;
+                    onSave(textarea.value);
+                }
+            }),
+            el('button', {
+                className: 'btn btn-secondary btn-small', textContent: 'Cancel', onClick: () => {
+                    editing = false;
+                    render();
+                }
+            })
+        )
+    );
+    textarea.focus();
+}
+
+// ============ Edits ============
+
+function updateCookie(cookie, value) {
+    persistCookies(`Cookie "${cookie.name}" updated`,
+        cookies => cookies.map(c => isSameCookie(c, cookie) ? { ...c, value: value } : c));
+}
+
+function deleteCookie(cookie) {
+    persistCookies(`Cookie "${cookie.name}" deleted`, cookies => cookies.filter(c => !isSameCookie(c, cookie)));
+}
+
+// Updates of list-like storage types return null once nothing is left, which removes the type
+function nonEmpty(value) {
+    return value.length > 0 ? value : null;
+}
+
+function updateWebStorage(entry, area, key, value) {
+    persistOriginType(`${area} key "${key}" updated`, entry, area, storage => ({ ...storage, [key]: value }));
+}
+
+function deleteWebStorageKey(entry, area, key) {
+    persistOriginType(`${area} key "${key}" deleted`, entry, area, (storage) => {
+        delete storage[key];
+        return Object.keys(storage).length > 0 ? storage : null;
+    });
+}
+
+function deleteDatabase(entry, db) {
+    persistOriginType(`Database "${db.name}" deleted`, entry, 'indexedDB',
+        databases => nonEmpty(databases.filter(d => d.name !== db.name)));
+}
+
+function deleteCache(entry, cache) {
+    persistOriginType(`Cache "${cache.name}" deleted`, entry, 'cacheStorage',
+        caches => nonEmpty(caches.filter(c => c.name !== cache.name)));
+}
+
+function deleteCacheEntry(entry, cache, item) {
+    const method = request => (request && request.method) || 'GET';
+    const isItem = i => i.url === item.url && method(i.request) === method(item.request);
+
+    persistOriginType('Cache entry deleted', entry, 'cacheStorage', caches => nonEmpty(caches
+        .map(c => c.name === cache.name ? { ...c, entries: c.entries.filter(i => !isItem(i)) } : c)
+        .filter(c => c.entries.length > 0)));
+}
+
+function deleteOPFSFile(entry, file) {
+    persistOriginType(`OPFS file "${file.path}" deleted`, entry, 'opfs', (opfs) => {
+        const removed = opfs.files.filter(f => f.path === file.path);
+        opfs.files = opfs.files.filter(f => f.path !== file.path);
+        opfs.size -= removed.reduce((sum, f) => sum + f.size, 0);
+        return opfs.files.length > 0 || opfs.directories.length > 0 ? opfs : null;
+    });
+}
+
+// Deleting an origin also deletes the cookies listed under it
+function deleteEntry(entry) {
+    persist(`${entry.origin ? formatStorageKey(entry.origin) : entry.host} deleted`, async () => {
+        if (entry.origin) {
+            await setSavedOrigins({ [entry.origin]: null }, currentProfile);
+        }
+        if (entry.cookies.length > 0) {
+            const { cookies } = await getSavedData(['cookies'], currentProfile);
+            await setSavedData({ cookies: cookies.filter(c => !entry.cookies.some(cookie => isSameCookie(c, cookie))) }, currentProfile);
+        }
+    });
+}
+
+// Pinned origins are never dropped by the storage budget
+async function togglePinned(entry) {
+    const pinned = settings.pinned_origins.includes(entry.origin);
+    settings.pinned_origins = pinned
+        ? settings.pinned_origins.filter(key => key !== entry.origin)
+        : [...settings.pinned_origins, entry.origin];
+
+    await chrome.storage.local.set({ pinned_origins: settings.pinned_origins });
+    showStatus(`✅ ${formatStorageKey(entry.origin)} ${pinned ? 'unpinned' : 'pinned'}`);
+    render();
+}
+
+// ============ Event Listeners ============
+
+searchInput.addEventListener('input', debounce(render, 200));
+
+profileSelect.addEventListener('change', async () => {
+    currentProfile = profileSelect.value;
+    await loadData();
+});
+
+document.getElementById('reload').addEventListener('click', async () => {
+    editing = false;
+    await loadProfiles();
+    await loadData();
+});
+
+// Pick up saves made while the page is open. Changed keys are collected over
+// the debounce, a burst may touch saved data in any of its calls.
+let pendingChanges = {};
+const reloadAfterChanges = debounce(() => {
+    const changes = pendingChanges;
+    pendingChanges = {};
+    if (isSavedDataChange(changes) && !editing) {
+        loadData();
+    }
+}, 1000);
+
+chrome.storage.onChanged.addListener((changes) => {
+    Object.assign(pendingChanges, changes);
+    reloadAfterChanges();
+});
+
+(async () => {
+    await loadProfiles();
+    await loadData();
+})();
@@ -5,7 +5,7 @@ var objectURL, downloadID;
 
 // ============ Cookie Functions ============
 
-async function save_cookies_only() {
+async function save_cookies_only(settings) {
     let details = { storeId: cookie_store };
 
     if (isFirefox) {
@@ -13,8 +13,8 @@ async function save_cookies_only() {
         details.partitionKey = {};
     }
 
-    const cookies = await chrome.cookies.getAll(details);
-    await chrome.storage.local.set({ cookies: cookies });
+    const cookies = await stampSessionCookies(filterCookies(await chrome.cookies.getAll(details), settings));
+    await setSavedData({ cookies: cookies });
     return cookies;
 }
 
@@ -25,26 +25,31 @@ async function collectWebStorageFromTabs(settings) {
     const webStorage = {};
     const includeCache = settings.save_cacheAPI;
     const cacheSizeLimit = settings.cache_size_limit_mb || 50;
-
-    // Group tabs by origin to avoid duplicate collection
-    const originTabs = {};
-    for (const tab of tabs) {
-        const origin = getOriginFromUrl(tab.url);
-        if (origin && !originTabs[origin]) {
-            originTabs[origin] = tab;
+    const includeOPFS = settings.save_opfs;
+
+    // Group frames of all tabs by storage key to avoid duplicate collection
+    const keyFrames = {};
+    const tabFrames = await Promise.all(tabs.map(getTabStorageFrames));
+    tabs.forEach((tab, index) => {
+        for (const frame of tabFrames[index]) {
+            if (!keyFrames[frame.key] && isStorageKeyAllowed(frame.key, settings)) {
+                keyFrames[frame.key] = { tab, frameId: frame.frameId };
+            }
         }
-    }
+    });
 
-    // Parallel collection from all origins
-    const originEntries = Object.entries(originTabs);
+    // Parallel collection from all storage keys
+    const keyEntries = Object.entries(keyFrames);
     const results = await Promise.allSettled(
-        originEntries.map(async ([origin, tab]) => {
+        keyEntries.map(async ([key, { tab, frameId }]) => {
             try {
                 const response = await chrome.tabs.sendMessage(tab.id, {
                     action: 'getStorageData',
                     includeCache: includeCache,
-                    cacheSizeLimit: cacheSizeLimit
-                });
+                    cacheSizeLimit: cacheSizeLimit,
+                    includeOPFS: includeOPFS,
+                    opfsSizeLimit: settings.opfs_size_limit_mb || 50
+                }, { frameId: frameId });
 
                 if (response && response.origin) {
                     const storageData = {};
@@ -53,6 +58,10 @@ async function collectWebStorageFromTabs(settings) {
                         storageData.localStorage = response.localStorage;
                     }
 
+                    if (settings.save_sessionStorage && response.sessionStorage && Object.keys(response.sessionStorage).length > 0) {
+                        storageData.sessionStorage = response.sessionStorage;
+                    }
+
                     if (settings.save_indexedDB && response.indexedDB && response.indexedDB.length > 0) {
                         storageData.indexedDB = response.indexedDB;
                     }
@@ -61,12 +70,16 @@ async function collectWebStorageFromTabs(settings) {
                         storageData.cacheStorage = response.cacheStorage;
                     }
 
+                    if (settings.save_opfs && response.opfs) {
+                        storageData.opfs = response.opfs;
+                    }
+
                     if (Object.keys(storageData).length > 0) {
-                        return { origin, data: storageData };
+                        return { key, data: storageData };
                     }
                 }
             } catch (e) {
-                console.log('Could not collect from tab:', tab.url, e);
+                console.log('Could not collect from frame:', tab.url, key, e);
             }
             return null;
         })
@@ -75,43 +88,53 @@ async function collectWebStorageFromTabs(settings) {
     // Build webStorage from results
     for (const result of results) {
         if (result.status === 'fulfilled' && result.value) {
-            webStorage[result.value.origin] = result.value.data;
+            webStorage[result.value.key] = result.value.data;
         }
     }
 
     return webStorage;
 }
 
-async function restoreWebStorageToTabs(clearFirst = true) {
-    const stored = await chrome.storage.local.get(['webStorage', 'save_cacheAPI']);
-    const webStorage = stored.webStorage || {};
-    const includeCache = stored.save_cacheAPI || false;
+async function restoreWebStorageToTabs(clearFirst = true, savedWebStorage = null, report = null) {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const includeCache = settings.save_cacheAPI || false;
+    const includeOPFS = settings.save_opfs || false;
 
     const tabs = await getPrivateTabs();
+    const sessionStorageTabs = getSessionStorageTabs(tabs, settings);
+
+    // Only the saved origins of open frames are read
+    const tabFrames = await Promise.all(tabs.map(getTabStorageFrames));
+    const keys = [...new Set(tabFrames.flat().map(frame => frame.key))];
+    const webStorage = filterWebStorage(savedWebStorage || await getSavedOrigins(keys), settings);
 
     // Parallel restoration
     await Promise.allSettled(
-        tabs.map(async (tab) => {
-            const origin = getOriginFromUrl(tab.url);
-            if (origin && webStorage[origin]) {
+        tabs.map(async (tab, index) => {
+            const frames = tabFrames[index].filter(frame => webStorage[frame.key]);
+            await Promise.allSettled(frames.map(async ({ frameId, key }) => {
                 try {
-                    await chrome.tabs.sendMessage(tab.id, {
+                    const response = await chrome.tabs.sendMessage(tab.id, {
                         action: 'setStorageData',
-                        data: webStorage[origin],
+                        data: sessionStorageTabs.has(tab.id) ? webStorage[key] : withoutSessionStorage(webStorage[key]),
                         clearFirst: clearFirst,
-                        includeCache: includeCache
-                    });
+                        includeCache: includeCache,
+                        includeOPFS: includeOPFS
+                    }, { frameId: frameId });
+                    if (report) addOriginRestoreResult(report, key, response);
                 } catch (e) {
-                    console.log('Could not restore to tab:', tab.url, e);
+                    console.log('Could not restore to frame:', tab.url, key, e);
+                    if (report) addOriginRestoreResult(report, key, null, e);
                 }
-            }
+            }));
         })
     );
 }
 
 async function clearWebStorageFromTabs() {
-    const stored = await chrome.storage.local.get('save_cacheAPI');
+    const stored = await chrome.storage.local.get(['save_cacheAPI', 'save_opfs']);
     const includeCache = stored.save_cacheAPI || false;
+    const includeOPFS = stored.save_opfs || false;
 
     const tabs = await getPrivateTabs();
 
@@ -121,7 +144,8 @@ async function clearWebStorageFromTabs() {
             try {
                 await chrome.tabs.sendMessage(tab.id, {
                     action: 'clearStorageData',
-                    includeCache: includeCache
+                    includeCache: includeCache,
+                    includeOPFS: includeOPFS
                 });
             } catch (e) {
                 console.log('Could not clear tab:', tab.url, e);
@@ -139,32 +163,54 @@ async function saveAllData() {
         return;
     }
 
-    // Save cookies
-    await save_cookies_only();
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        return;
+    }
 
-    // Save web storage from all private tabs
-    const webStorage = await collectWebStorageFromTabs(settings);
-    await chrome.storage.local.set({
-        webStorage: webStorage,
-        last_saved: Date.now()
-    });
+    try {
+        // Keep the state this save replaces
+        await recordSnapshot('before-save', true);
+
+        // Save cookies
+        await save_cookies_only(settings);
+
+        // Save web storage from all private tabs
+        const webStorage = await collectWebStorageFromTabs(settings);
+        await setSavedOrigins(webStorage, null, { replace: true, visited: true });
+        await chrome.storage.local.set({ last_saved: Date.now() });
+    } catch (e) {
+        // e.g. the storage quota is exceeded
+        console.error('Failed to save:', e);
+        showToast('❌ ' + getErrorMessage(e), true);
+    }
 
     update_storage_stats();
     update_last_saved();
 }
 
-async function restoreAllData() {
+async function restoreAllData(source = 'restore') {
     const settings = await chrome.storage.local.get(defaultSettings);
 
     if (!settings.extension_enabled) {
         return;
     }
 
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        return;
+    }
+
+    const report = createRestoreReport(source);
+
     // Restore cookies (uses parallel ops from utils.js)
-    restore_cookies();
+    report.cookies = await restore_cookies();
 
     // Restore web storage to tabs
-    await restoreWebStorageToTabs(false);
+    await restoreWebStorageToTabs(false, null, report);
+
+    await saveRestoreReport(report);
+    render_restore_report(report);
 }
 
 // ============ UI Updates ============
@@ -198,8 +244,9 @@ async function update_button_states() {
     const access_enabled = await chrome.permissions.contains({ origins: ['<all_urls>'] });
     const settings = await chrome.storage.local.get(defaultSettings);
     const private_window_open = await is_private_window_open();
+    const locked = await isSavedDataLocked();
 
-    const canOperate = private_enabled && access_enabled && settings.extension_enabled;
+    const canOperate = private_enabled && access_enabled && settings.extension_enabled && !locked;
 
     document.querySelector('#save').disabled = !canOperate || settings.auto_save || !private_window_open;
     document.querySelector('#restore_now').disabled = !canOperate || !private_window_open;
@@ -208,44 +255,172 @@ async function update_button_states() {
     // Update status
     const statusDot = document.querySelector('#status_dot');
     const statusText = document.querySelector('#status_text');
+    statusDot.classList.remove('warning');
 
     if (!settings.extension_enabled) {
         statusDot.classList.remove('active');
         statusText.textContent = 'Extension disabled';
+    } else if (locked) {
+        statusDot.classList.remove('active');
+        statusText.textContent = 'Saved data locked - unlock to save or restore';
     } else if (!private_window_open) {
         statusDot.classList.remove('active');
         statusText.textContent = 'No private window open';
     } else if (settings.auto_save) {
-        statusDot.classList.add('active');
-        statusText.textContent = 'Auto-saving enabled';
+        const health = await check_auto_save_health();
+        statusDot.classList.toggle('active', health.ok);
+        statusDot.classList.toggle('warning', !health.ok);
+        statusText.textContent = health.text;
     } else {
         statusDot.classList.add('active');
         statusText.textContent = 'Private window active';
     }
 }
 
+// Ask the background whether auto-save really runs. This also wakes a stopped service worker.
+async function check_auto_save_health() {
+    let health = null;
+    try {
+        health = await chrome.runtime.sendMessage({ action: 'getAutoSaveHealth' });
+    } catch (e) {
+        console.log('Auto-save health check failed:', e);
+    }
+
+    if (!health) {
+        return { ok: false, text: 'Auto-save not responding - background not running' };
+    }
+    if (await isAutoSavePaused()) {
+        return { ok: true, text: 'Auto-save paused' };
+    }
+    if (health.lastError && health.lastError.time > health.lastSuccess) {
+        return { ok: false, text: `Auto-save failing: ${health.lastError.message}` };
+    }
+    if (health.notSavingSince) {
+        return {
+            ok: false,
+            text: `Auto-save not saving - cookies changed ${formatTimeAgo(health.notSavingSince).toLowerCase()} ` +
+                `(last change ${formatTimeAgo(health.lastChange).toLowerCase()}) and nothing was saved since`
+        };
+    }
+    if (health.lastSuccess) {
+        return { ok: true, text: `Auto-saving enabled · last auto-save ${formatTimeAgo(health.lastSuccess).toLowerCase()}` };
+    }
+    return { ok: true, text: 'Auto-saving enabled · waiting for changes' };
+}
+
 async function update_storage_stats() {
-    const stored = await chrome.storage.local.get(['cookies', 'webStorage']);
+    const profile = await getActiveProfile();
+    const locked = await isSavedDataLocked();
+    const { cookies_pruned } = await chrome.storage.local.get({ cookies_pruned: 0 });
+
+    // Sizes come from the web storage index, encrypted data has to be unlocked first
+    let usage = null;
+    let hasData;
+    if (locked) {
+        const raw = await chrome.storage.local.get([getProfileStorageKey(profile, 'cookies'), getProfileStorageKey(profile, WEB_STORAGE_INDEX)]);
+        hasData = Object.keys(raw).length > 0;
+
+        document.querySelector('#total_size').textContent = '🔒';
+        document.querySelector('#origin_count').textContent = '🔒';
+        document.querySelector('#expiring_count').textContent = '🔒';
+        document.querySelector('#opfs_saved_size').textContent = 'Saved: 🔒';
+        document.querySelector('#compression_stats').textContent = '';
+    } else {
+        const index = await getSavedDataIndex(profile);
+        const { cookies } = await getSavedData(['cookies'], profile);
+        usage = getStorageUsage(index, cookies, await getStoredCookiesSize(profile));
+        hasData = cookies.length > 0 || Object.keys(index).length > 0;
+
+        const opfsOrigins = Object.values(usage.origins).filter(origin => origin.types.opfs);
+        const opfsBytes = opfsOrigins.reduce((sum, origin) => sum + origin.types.opfs, 0);
+
+        document.querySelector('#total_size').textContent = parseFloat((usage.total / 1024).toFixed(2));
+        document.querySelector('#origin_count').textContent = Object.keys(index).length;
+        document.querySelector('#expiring_count').textContent = countCookiesExpiringSoon(cookies);
+        document.querySelector('#opfs_saved_size').textContent =
+            `Saved: ${formatBytes(opfsBytes)} in ${plural(opfsOrigins.length, 'origin')}`;
+        document.querySelector('#compression_stats').textContent = hasData
+            ? `${formatBytes(usage.total)} uncompressed, ${formatBytes(usage.stored)} stored` +
+                (usage.stored < usage.total ? ` (${Math.round((1 - usage.stored / usage.total) * 100)}% saved by compression)` : '')
+            : '';
+    }
+    document.querySelector('#pruned_count').textContent = cookies_pruned;
 
-    let totalBytes = 0;
-    let originCount = 0;
+    document.querySelector('#delete').disabled = !hasData;
+    document.querySelector('#backup').disabled = !hasData || locked;
+    document.querySelector('#export').disabled = !hasData || locked;
+
+    await update_storage_usage(usage, profile);
+}
 
-    // Calculate sizes (this is lightweight since we're just measuring what's already in memory)
-    if (stored.cookies) {
-        totalBytes += new TextEncoder().encode(JSON.stringify(stored.cookies)).length;
+/**
+ * Show extension storage use against the browser quota and the storage budget,
+ * with warnings when either is nearly full and after sites were dropped.
+ * @param {Object|null} usage - Of the active profile (getStorageUsage), null while locked
+ * @param {string} profile - The active profile
+ */
+async function update_storage_usage(usage, profile) {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const { bytesInUse, quota } = await getStorageQuotaStatus();
+    const budget = settings.storage_budget_mb * 1024 * 1024;
+    const warnings = [];
+
+    let text = `In use: ${formatBytes(bytesInUse)}` + (quota ? ` of ${formatBytes(quota)} browser quota` : '');
+
+    if (budget && usage) {
+        const shared = await getSharedStorageUsage(profile);
+        const stored = usage.stored + shared.profiles + shared.snapshots.reduce((sum, entry) => sum + getSnapshotStoredSize(entry), 0);
+        text += ` · saved data and snapshots: ${formatBytes(stored)} of ${formatBytes(budget)}`;
+
+        if (stored > budget) {
+            warnings.push(settings.storage_eviction === 'lru'
+                ? 'Pinned sites and other profiles alone exceed the storage budget.'
+                : 'Saved data is over the storage budget.');
+        } else if (stored >= budget * STORAGE_WARNING_RATIO && settings.storage_eviction === 'lru') {
+            warnings.push('Storage budget nearly used, the oldest snapshots and then the least recently visited sites will be dropped first.');
+        }
     }
 
-    if (stored.webStorage) {
-        totalBytes += new TextEncoder().encode(JSON.stringify(stored.webStorage)).length;
-        originCount = Object.keys(stored.webStorage).length;
+    if (quota && bytesInUse >= quota * STORAGE_WARNING_RATIO) {
+        warnings.push(`Extension storage is ${Math.round(bytesInUse / quota * 100)}% full, saving fails once it is full. ` +
+            'Set a storage budget, delete saved sites or snapshots, or turn off large storage types.');
     }
 
-    document.querySelector('#total_size').textContent = parseFloat((totalBytes / 1024).toFixed(2));
-    document.querySelector('#origin_count').textContent = originCount;
+    const eviction = await getLastStorageEviction();
+    if (eviction) {
+        const names = eviction.origins.slice(0, 3).map(formatStorageKey);
+        if (eviction.origins.length > 3) names.push(`${eviction.origins.length - 3} more sites`);
+        const dropped = names.length > 0 ? `${names.join(', ')} from "${eviction.profile}"` : '';
+        const snapshots = eviction.snapshots ? plural(eviction.snapshots, 'snapshot') : '';
+        warnings.push(`Dropped ${[snapshots, dropped].filter(Boolean).join(' and ')} ${formatTimeAgo(eviction.time).toLowerCase()} to stay within the storage budget.`);
+    }
 
-    const hasData = totalBytes > 0;
-    document.querySelector('#delete').disabled = !hasData;
-    document.querySelector('#backup').disabled = !hasData;
+    document.querySelector('#storage_usage').textContent = text;
+    const warningEl = document.querySelector('#storage_warning');
+    warningEl.textContent = warnings.map(warning => '⚠️ ' + warning).join('\n');
+    warningEl.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+async function update_encryption_state() {
+    const { encryption_enabled } = await chrome.storage.local.get({ encryption_enabled: false });
+    const locked = await isSavedDataLocked();
+    const statusEl = document.querySelector('#encryption_status');
+
+    statusEl.classList.remove('locked', 'unlocked');
+    if (!encryption_enabled) {
+        statusEl.textContent = 'Saved data is not encrypted';
+    } else if (locked) {
+        statusEl.textContent = '🔒 Encrypted and locked';
+        statusEl.classList.add('locked');
+    } else {
+        statusEl.textContent = '🔓 Encrypted, unlocked for this session';
+        statusEl.classList.add('unlocked');
+    }
+
+    document.querySelector('#encryption_enable').style.display = encryption_enabled ? 'none' : '';
+    document.querySelector('#encryption_unlock').style.display = encryption_enabled && locked ? '' : 'none';
+    document.querySelector('#encryption_lock').style.display = encryption_enabled && !locked ? '' : 'none';
+    document.querySelector('#encryption_disable').style.display = encryption_enabled && !locked ? '' : 'none';
 }
 
 // Debounced version of update_storage_stats for rapid changes
@@ -261,37 +436,616 @@ function update_last_saved() {
             return;
         }
 
-        const now = Date.now();
-        const diff = now - res.last_saved;
-        const seconds = Math.floor(diff / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
-        const days = Math.floor(hours / 24);
-
-        let timeStr;
-        if (seconds < 10) {
-            timeStr = 'Just now';
-            lastSavedEl.classList.add('recent');
-        } else if (seconds < 60) {
-            timeStr = `${seconds} seconds ago`;
-            lastSavedEl.classList.add('recent');
-        } else if (minutes < 60) {
-            timeStr = `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-            lastSavedEl.classList.remove('recent');
-        } else if (hours < 24) {
-            timeStr = `${hours} hour${hours > 1 ? 's' : ''} ago`;
-            lastSavedEl.classList.remove('recent');
+        lastSavedEl.classList.toggle('recent', Date.now() - res.last_saved < 60000);
+        lastSavedEl.textContent = `Last saved: ${formatTimeAgo(res.last_saved)}`;
+    });
+}
+
+async function update_periodic_save_next() {
+    const nextEl = document.querySelector('#periodic_save_next');
+    const alarm = await chrome.alarms.get(PERIODIC_SAVE_ALARM);
+    const { periodic_save_last_run } = await chrome.storage.session.get({ periodic_save_last_run: null });
+
+    const parts = [alarm ? `Next save at ${new Date(alarm.scheduledTime).toLocaleTimeString()}` : 'No save scheduled'];
+    if (periodic_save_last_run) {
+        const ago = formatTimeAgo(periodic_save_last_run.time).toLowerCase();
+        parts.push(periodic_save_last_run.changed ? `last saved ${ago}` : `nothing changed ${ago}`);
+    }
+    nextEl.textContent = parts.join(' · ');
+}
+
+// Tell whether saved localStorage is written before page scripts run, and what's missing if not
+async function update_early_restore_status() {
+    let support = null;
+    try {
+        support = await chrome.runtime.sendMessage({ action: 'getEarlyRestoreSupport' });
+    } catch (e) {
+        console.log('Early restore support check failed:', e);
+    }
+
+    const statusEl = document.querySelector('#early_restore_status');
+    const allowButton = document.querySelector('#allow_user_scripts');
+    allowButton.style.display = 'none';
+
+    if (!support) {
+        statusEl.textContent = '';
+        return;
+    }
+
+    const parts = [];
+    if (support.preloadScripts === 'active') {
+        parts.push('Saved localStorage is written before page scripts run');
+    } else if (support.preloadScripts === 'encrypted') {
+        parts.push('Encrypted localStorage is written after page scripts start');
+    } else if (support.preloadScripts === 'unavailable') {
+        if (isFirefox) {
+            parts.push('Allow user scripts to write saved localStorage before page scripts run (Firefox 136 or later)');
+            allowButton.style.display = '';
         } else {
-            timeStr = `${days} day${days > 1 ? 's' : ''} ago`;
-            lastSavedEl.classList.remove('recent');
+            parts.push('Turn on "Allow User Scripts" for this extension on the extensions page to write saved localStorage before page scripts run');
+        }
+    }
+    if (!support.indexedDBGate) {
+        parts.push('Pages may open IndexedDB before it is restored (needs Firefox 128 or later)');
+    }
+    statusEl.textContent = parts.join(' · ');
+}
+
+// The background reschedules the alarm after the settings change
+const debouncedUpdatePeriodicSaveNext = debounce(update_periodic_save_next, 500);
+
+// Update last saved display every 10 seconds
+setInterval(() => {
+    update_last_saved();
+    update_periodic_save_next();
+}, 10000);
+
+// ============ Site Filter ============
+
+function render_site_filter(rules) {
+    const list = document.querySelector('#site_filter_list');
+    list.textContent = '';
+
+    if (rules.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = 'No rules';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const rule of rules) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = rule;
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove rule';
+        remove.addEventListener('click', () => remove_site_rule(rule));
+
+        item.append(label, remove);
+        list.appendChild(item);
+    }
+}
+
+async function add_site_rule(text) {
+    const parsed = parseSiteRule(text);
+    if (!parsed) {
+        showToast('❌ Invalid site rule', true);
+        return false;
+    }
+
+    const rule = formatSiteRule(parsed);
+    const { site_filter_rules } = await chrome.storage.local.get({ site_filter_rules: [] });
+
+    if (!site_filter_rules.includes(rule)) {
+        site_filter_rules.push(rule);
+        await chrome.storage.local.set({ site_filter_rules });
+    }
+
+    render_site_filter(site_filter_rules);
+    return true;
+}
+
+async function remove_site_rule(rule) {
+    const { site_filter_rules } = await chrome.storage.local.get({ site_filter_rules: [] });
+    const rules = site_filter_rules.filter(r => r !== rule);
+    await chrome.storage.local.set({ site_filter_rules: rules });
+    render_site_filter(rules);
+}
+
+// ============ Session Cookies ============
+
+const sessionCookiePolicyLabels = {
+    session: 'Session',
+    persistent: 'Persistent',
+    skip: 'Skip'
+};
+
+function render_session_overrides(overrides) {
+    const list = document.querySelector('#session_override_list');
+    list.textContent = '';
+
+    const rules = Object.keys(overrides);
+    if (rules.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = 'No overrides';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const rule of rules) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${rule} → ${sessionCookiePolicyLabels[overrides[rule]]}`;
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove override';
+        remove.addEventListener('click', () => remove_session_override(rule));
+
+        item.append(label, remove);
+        list.appendChild(item);
+    }
+}
+
+async function add_session_override(text, policy) {
+    const parsed = parseSiteRule(text);
+    if (!parsed) {
+        showToast('❌ Invalid site rule', true);
+        return false;
+    }
+
+    const rule = formatSiteRule(parsed);
+    const { session_cookie_overrides } = await chrome.storage.local.get({ session_cookie_overrides: {} });
+    session_cookie_overrides[rule] = policy;
+    await chrome.storage.local.set({ session_cookie_overrides });
+
+    render_session_overrides(session_cookie_overrides);
+    return true;
+}
+
+async function remove_session_override(rule) {
+    const { session_cookie_overrides } = await chrome.storage.local.get({ session_cookie_overrides: {} });
+    delete session_cookie_overrides[rule];
+    await chrome.storage.local.set({ session_cookie_overrides });
+    render_session_overrides(session_cookie_overrides);
+}
+
+// ============ Profiles ============
+
+function fill_profile_select(select, profiles, selected, extraOption = null) {
+    select.textContent = '';
+
+    if (extraOption) {
+        select.appendChild(new Option(extraOption.label, extraOption.value));
+    }
+    for (const profile of profiles) {
+        select.appendChild(new Option(profile, profile));
+    }
+
+    select.value = selected;
+}
+
+async function update_profiles() {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const backupSelect = document.querySelector('#backup_profile');
+    const backupProfile = settings.profiles.includes(backupSelect.value) ? backupSelect.value : settings.active_profile;
+
+    fill_profile_select(document.querySelector('#active_profile'), settings.profiles, settings.active_profile);
+    fill_profile_select(document.querySelector('#startup_profile'), settings.profiles, settings.startup_profile,
+        { label: 'Last active profile', value: '' });
+    fill_profile_select(backupSelect, settings.profiles, backupProfile);
+
+    document.querySelector('#profile_delete').disabled = settings.active_profile === DEFAULT_PROFILE;
+}
+
+/**
+ * Make another profile active. If a private window is open, its cookies and
+ * web storage are cleared and the new profile's data is restored.
+ * @param {string} profile
+ */
+async function switchProfile(profile) {
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        update_profiles();
+        return;
+    }
+
+    await pauseAutoSave();
+    try {
+        await chrome.storage.local.set({ active_profile: profile });
+
+        if (await is_private_window_open()) {
+            await clear_private_cookies();
+            await clearWebStorageFromTabs();
+            await restoreAllData('profile');
         }
+    } finally {
+        await resumeAutoSave();
+    }
+
+    update_profiles();
+    update_storage_stats();
+    showToast(`✅ Switched to profile "${profile}"`);
+}
+
+// ============ Snapshot History ============
+
+const snapshotReasons = {
+    'auto': 'Auto-save',
+    'manual': 'Manual save',
+    'before-auto-save': 'Before auto-save',
+    'before-cookie-removal': 'Before a site removed cookies',
+    'before-save': 'Before save',
+    'before-import': 'Before import',
+    'before-promote': 'Before promote'
+};
+
+async function render_history() {
+    const profile = await getActiveProfile();
+    const snapshots = await getSnapshots(profile);
+    const list = document.querySelector('#history_list');
+
+    document.querySelector('#history_description').textContent = `Snapshots of profile "${profile}", newest first.`;
+    list.textContent = '';
+
+    if (snapshots.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = 'No snapshots yet';
+        list.appendChild(empty);
+        return;
+    }
 
-        lastSavedEl.textContent = `Last saved: ${timeStr}`;
+    for (const snapshot of snapshots) {
+        const item = document.createElement('li');
+
+        const time = document.createElement('div');
+        time.className = 'history-time';
+        time.textContent = new Date(snapshot.timestamp).toLocaleString();
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+            snapshotReasons[snapshot.reason] || snapshot.reason,
+            formatBytes(snapshot.size),
+            plural(snapshot.originCount, 'origin'),
+            plural(snapshot.cookieCount, 'cookie')
+        ].join(' · ');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'btn-group';
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-secondary';
+        restoreBtn.textContent = '🔄 Restore';
+        restoreBtn.title = 'Load this snapshot into the open private window';
+        restoreBtn.disabled = !(await is_private_window_open());
+        restoreBtn.addEventListener('click', () => restoreSnapshot(snapshot.id));
+
+        const promoteBtn = document.createElement('button');
+        promoteBtn.className = 'btn btn-secondary';
+        promoteBtn.textContent = '⭐ Promote';
+        promoteBtn.title = 'Make this snapshot the current saved state';
+        promoteBtn.addEventListener('click', () => promoteSnapshotFromHistory(snapshot.id));
+
+        buttons.append(restoreBtn, promoteBtn);
+        item.append(time, meta, buttons);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Replace the open private window's cookies and web storage with a snapshot.
+ * The saved state isn't changed (auto-save may save the restored state afterwards).
+ * @param {string} id
+ */
+async function restoreSnapshot(id) {
+    try {
+        const data = await getSnapshotData(id);
+        const report = createRestoreReport('snapshot');
+
+        await pauseAutoSave();
+        try {
+            await clear_private_cookies();
+            await clearWebStorageFromTabs();
+            report.cookies = await restore_cookies(data.cookies);
+            await restoreWebStorageToTabs(false, data.webStorage, report);
+        } finally {
+            await resumeAutoSave();
+        }
+
+        await saveRestoreReport(report);
+        render_restore_report(report);
+
+        showToast('✅ Snapshot restored');
+    } catch (e) {
+        console.error('Failed to restore snapshot:', e);
+        showToast('❌ ' + e.message, true);
+    }
+}
+
+async function promoteSnapshotFromHistory(id) {
+    try {
+        await promoteSnapshot(id);
+        showToast('✅ Snapshot is now the saved state');
+    } catch (e) {
+        console.error('Failed to promote snapshot:', e);
+        showToast('❌ ' + e.message, true);
+    }
+
+    render_history();
+    update_storage_stats();
+}
+
+// ============ Backup ============
+
+/**
+ * Download the saved data of the profile selected for backup as a backup file.
+ * @param {string} [password] - Encrypt the backup with this password
+ */
+async function downloadBackup(password) {
+    const profile = document.querySelector('#backup_profile').value || await getActiveProfile();
+    const stored = await getSavedData(SAVED_DATA_KEYS, profile);
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const backupData = createBackup(stored, profile, settings);
+
+    let contents = JSON.stringify(backupData, null, 2);
+    let filename = 'private-window-data.json';
+    let type = 'application/json';
+
+    if (password) {
+        contents = JSON.stringify(await createEncryptedBackup(backupData, password, settings.compress_backups));
+        filename = 'private-window-data.encrypted.json';
+    } else if (settings.compress_backups) {
+        contents = await compressBytes(new TextEncoder().encode(JSON.stringify(backupData)));
+        filename = 'private-window-data.json.gz';
+        type = 'application/gzip';
+    }
+
+    objectURL = URL.createObjectURL(new Blob([contents], { type: type }));
+
+    downloadID = await chrome.downloads.download({
+        url: objectURL,
+        filename: filename,
+        saveAs: true
     });
 }
 
-// Update last saved display every 10 seconds
-setInterval(update_last_saved, 10000);
+// ============ Export ============
+
+// Formats of #export_format. Each writes the selected data to a file and
+// describes what it wrote and what it had to leave out (null if nothing).
+const exportFormats = {
+    netscape: {
+        filename: 'cookies.txt',
+        type: 'text/plain',
+        webStorage: false,
+        write: (data, profile) => {
+            const { text, count, skipped } = cookiesToNetscape(data.cookies, `Exported from profile "${profile}" on ${new Date().toISOString()}`);
+            return {
+                contents: text,
+                summary: plural(count, 'cookie'),
+                skipped: skipped > 0 ? `${plural(skipped, 'cookie')} can't be written in this format` : null
+            };
+        }
+    },
+    playwright: {
+        filename: 'storage-state.json',
+        type: 'application/json',
+        webStorage: true,
+        write: (data) => {
+            const { state, skipped } = toStorageState(data);
+            return {
+                contents: JSON.stringify(state, null, 2),
+                summary: `${plural(state.cookies.length, 'cookie')} and localStorage of ${plural(state.origins.length, 'origin')}`,
+                skipped: skipped > 0 ? `${plural(skipped, 'embedded frame')} left out` : null
+            };
+        }
+    }
+};
+
+/**
+ * Download the saved data of the profile selected for backup in another tool's format.
+ * Throws if the domain filter is invalid or matches nothing.
+ * @returns {Promise<{summary: string, skipped: string|null}>} What was written, and left out
+ */
+async function downloadExport() {
+    const profile = document.querySelector('#backup_profile').value || await getActiveProfile();
+    const format = exportFormats[document.querySelector('#export_format').value];
+    const rules = parseCookieDomainFilter(document.querySelector('#export_domains').value);
+
+    const saved = await getSavedData(format.webStorage ? SAVED_DATA_KEYS : ['cookies'], profile);
+    const selected = {
+        cookies: filterCookiesByDomain(saved.cookies, rules),
+        webStorage: filterWebStorageByDomain(saved.webStorage || {}, rules)
+    };
+    if (selected.cookies.length === 0 && Object.keys(selected.webStorage).length === 0) {
+        throw new Error(rules.length > 0 ? 'No saved data matches these domains' : 'There is no saved data to export');
+    }
+
+    const { contents, summary, skipped } = format.write(selected, profile);
+    objectURL = URL.createObjectURL(new Blob([contents], { type: format.type }));
+
+    downloadID = await chrome.downloads.download({
+        url: objectURL,
+        filename: format.filename,
+        saveAs: true
+    });
+    return { summary, skipped };
+}
+
+// ============ Restore Report ============
+
+const restoreReportSources = {
+    restore: 'Restore',
+    import: 'Import',
+    snapshot: 'Snapshot restore',
+    profile: 'Profile switch',
+    startup: 'New private window',
+    unlock: 'Unlock'
+};
+
+const storageTypeLabels = {
+    localStorage: 'localStorage',
+    sessionStorage: 'sessionStorage',
+    indexedDB: 'IndexedDB',
+    cacheStorage: 'Cache API',
+    opfs: 'OPFS'
+};
+
+var lastRestoreReport = null;
+
+function render_restore_report(report) {
+    lastRestoreReport = report;
+    const container = document.querySelector('#restore_report');
+
+    if (!report) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const summary = summarizeRestoreReport(report);
+    const parts = [`${summary.cookiesRestored} cookies restored`];
+    if (summary.cookiesFailed > 0) parts.push(`${summary.cookiesFailed} failed`);
+    if (summary.cookiesSkipped > 0) parts.push(`${summary.cookiesSkipped} skipped`);
+    if (summary.origins > 0) {
+        parts.push(plural(summary.origins, 'origin') +
+            (summary.originsFailed > 0 ? ` (${summary.originsFailed} with errors)` : ''));
+    }
+
+    const time = new Date(report.finished || report.started).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    document.querySelector('#restore_report_summary').textContent =
+        `${summary.cookiesFailed > 0 || summary.originsFailed > 0 ? '⚠️' : '✅'} ${restoreReportSources[report.source] || report.source} at ${time}: ${parts.join(' · ')}`;
+    container.style.display = 'block';
+}
+
+function add_report_item(list, title, lines) {
+    const item = document.createElement('li');
+    const heading = document.createElement('div');
+    heading.className = 'history-time';
+    heading.textContent = title;
+    item.appendChild(heading);
+
+    for (const line of lines) {
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = line;
+        item.appendChild(meta);
+    }
+
+    list.appendChild(item);
+}
+
+function render_restore_report_details(report) {
+    const list = document.querySelector('#report_list');
+    list.textContent = '';
+
+    if (report.cookies.failed.length > 0) {
+        add_report_item(list, `❌ ${report.cookies.failed.length} cookies failed`, report.cookies.failed.map(cookie =>
+            `${cookie.name} (${cookie.domain}${cookie.path}): ${cookie.error}` + (cookie.hint ? ` - ${cookie.hint}` : '')
+        ));
+    }
+
+    if (report.cookies.skipped.length > 0) {
+        add_report_item(list, `⏭️ ${report.cookies.skipped.length} cookies skipped`, report.cookies.skipped.map(cookie =>
+            `${cookie.name} (${cookie.domain}${cookie.path}): ${cookie.reason}`
+        ));
+    }
+
+    for (const [origin, result] of Object.entries(report.origins)) {
+        if (result.error) {
+            add_report_item(list, `❌ ${formatStorageKey(origin)}`, [result.error]);
+            continue;
+        }
+
+        const lines = [];
+        let failed = false;
+        for (const [type, typeResult] of Object.entries(result)) {
+            lines.push(`${storageTypeLabels[type] || type}: ${typeResult.restored} restored` +
+                (typeResult.failed.length > 0 ? `, ${typeResult.failed.length} failed` : ''));
+            for (const failure of typeResult.failed) {
+                lines.push(`  ${failure.item}: ${failure.error}`);
+                failed = true;
+            }
+        }
+        add_report_item(list, `${failed ? '❌' : '✅'} ${formatStorageKey(origin)}`, lines);
+    }
+
+    if (list.children.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = `${report.cookies.restored} cookies restored, no web storage was restored`;
+        list.appendChild(empty);
+    }
+}
+
+async function downloadRestoreReport(report) {
+    objectURL = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+
+    downloadID = await chrome.downloads.download({
+        url: objectURL,
+        filename: 'restore-report.json',
+        saveAs: true
+    });
+}
+
+// ============ Passphrase Modal ============
+
+var passphraseMode = null; // 'enable', 'unlock' or 'backup'
+
+const passphraseModes = {
+    enable: {
+        title: '🔐 Encrypt Saved Data',
+        text: 'Saved data will be encrypted with this passphrase. It must be entered once per browser session before data can be saved or restored. A forgotten passphrase cannot be recovered.',
+        submit: ' Encrypt',
+        confirm: true
+    },
+    unlock: {
+        title: '🔓 Unlock Saved Data',
+        text: 'Enter your passphrase to unlock saved data for this browser session.',
+        submit: ' Unlock',
+        confirm: false
+    },
+    backup: {
+        title: '📥 Backup Password',
+        text: 'Backups contain live login cookies. Protect the file with a password; it will be asked for when restoring.',
+        submit: ' Save encrypted backup',
+        confirm: true
+    }
+};
+
+function showPassphraseModal(mode) {
+    passphraseMode = mode;
+
+    const config = passphraseModes[mode];
+    document.querySelector('#passphrase_title').textContent = config.title;
+    document.querySelector('#passphrase_text').textContent = config.text;
+    document.querySelector('#passphrase_submit').lastChild.textContent = config.submit;
+    document.querySelector('#passphrase_confirm').style.display = config.confirm ? '' : 'none';
+    document.querySelector('#passphrase_skip').style.display = mode === 'backup' ? '' : 'none';
+    document.querySelector('#passphrase_input').value = '';
+    document.querySelector('#passphrase_confirm').value = '';
+    document.querySelector('#passphrase_error').style.display = 'none';
+    document.querySelector('#passphrase_modal').classList.add('active');
+    document.querySelector('#passphrase_input').focus();
+}
+
+function hidePassphraseModal() {
+    passphraseMode = null;
+    document.querySelector('#passphrase_input').value = '';
+    document.querySelector('#passphrase_confirm').value = '';
+    document.querySelector('#passphrase_modal').classList.remove('active');
+}
+
+function showPassphraseError(message) {
+    const errorEl = document.querySelector('#passphrase_error');
+    errorEl.textContent = message;
+    errorEl.style.display = 'block';
+}
 
 // ============ Reconciliation Modal ============
 
@@ -311,10 +1065,31 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     document.querySelector('#extension_enabled').checked = settings.extension_enabled;
     document.querySelector('#auto_save').checked = settings.auto_save;
+    document.querySelector('#reload_after_late_restore').checked = settings.reload_after_late_restore;
+    document.querySelector('#periodic_save').checked = settings.periodic_save;
+    document.querySelector('#periodic_save_interval').value = settings.periodic_save_interval_minutes;
+    document.querySelector('#periodic_save_section').style.display = settings.periodic_save ? 'block' : 'none';
     document.querySelector('#save_localStorage').checked = settings.save_localStorage;
+    document.querySelector('#save_sessionStorage').checked = settings.save_sessionStorage;
+    document.querySelector('#session_storage_restore').value = settings.session_storage_restore;
+    document.querySelector('#session_storage_section').style.display = settings.save_sessionStorage ? 'block' : 'none';
     document.querySelector('#save_indexedDB').checked = settings.save_indexedDB;
     document.querySelector('#save_cacheAPI').checked = settings.save_cacheAPI;
     document.querySelector('#cache_size_limit').value = settings.cache_size_limit_mb || 50;
+    document.querySelector('#save_opfs').checked = settings.save_opfs;
+    document.querySelector('#opfs_size_limit').value = settings.opfs_size_limit_mb || 50;
+    document.querySelector('#opfs_section').style.display = settings.save_opfs ? 'block' : 'none';
+    document.querySelector('#site_filter_mode').value = settings.site_filter_mode;
+    render_site_filter(settings.site_filter_rules);
+    document.querySelector('#session_cookie_policy').value = settings.session_cookie_policy;
+    document.querySelector('#session_cookie_lifetime_days').value = settings.session_cookie_lifetime_days;
+    render_session_overrides(settings.session_cookie_overrides);
+    document.querySelector('#snapshot_max_count').value = settings.snapshot_max_count;
+    document.querySelector('#snapshot_max_age_days').value = settings.snapshot_max_age_days;
+    document.querySelector('#snapshot_max_total_mb').value = settings.snapshot_max_total_mb;
+    document.querySelector('#storage_budget').value = settings.storage_budget_mb;
+    document.querySelector('#storage_eviction').value = settings.storage_eviction;
+    document.querySelector('#compress_backups').checked = settings.compress_backups;
 
     // Show cache warning/limit if Cache API is enabled
     if (settings.save_cacheAPI) {
@@ -325,6 +1100,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     update_warning();
     update_storage_stats();
     update_last_saved();
+    update_periodic_save_next();
+    update_early_restore_status();
+    update_encryption_state();
+    update_profiles();
+    render_restore_report(await getLastRestoreReport());
 });
 
 // Extension enabled toggle
@@ -337,9 +1117,6 @@ document.querySelector('#extension_enabled').addEventListener('change', async (e
     } else {
         await chrome.storage.local.set({ extension_enabled: enabled });
         update_button_states();
-
-        // Notify background script
-        chrome.runtime.sendMessage({ action: 'extensionToggled', enabled: enabled });
     }
 });
 
@@ -349,7 +1126,6 @@ document.querySelector('#reconcile_save').addEventListener('click', async () =>
     await chrome.storage.local.set({ extension_enabled: true });
     await saveAllData();
     update_button_states();
-    chrome.runtime.sendMessage({ action: 'extensionToggled', enabled: true });
 });
 
 document.querySelector('#reconcile_restore').addEventListener('click', async () => {
@@ -359,14 +1135,12 @@ document.querySelector('#reconcile_restore').addEventListener('click', async ()
     await clearWebStorageFromTabs();
     await restoreAllData();
     update_button_states();
-    chrome.runtime.sendMessage({ action: 'extensionToggled', enabled: true });
 });
 
 document.querySelector('#reconcile_skip').addEventListener('click', async () => {
     hideReconcileModal();
     await chrome.storage.local.set({ extension_enabled: true });
     update_button_states();
-    chrome.runtime.sendMessage({ action: 'extensionToggled', enabled: true });
 });
 
 document.querySelector('#reconcile_cancel').addEventListener('click', () => {
@@ -383,16 +1157,50 @@ document.querySelector('#auto_save').addEventListener('change', async (event) =>
     }
 
     update_button_states();
-    chrome.runtime.sendMessage({ action: 'settingsChanged' });
 });
 
-// Storage type toggles (localStorage and IndexedDB)
-['save_localStorage', 'save_indexedDB'].forEach(id => {
+document.querySelector('#periodic_save').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ periodic_save: event.target.checked });
+    document.querySelector('#periodic_save_section').style.display = event.target.checked ? 'block' : 'none';
+});
+
+document.querySelector('#periodic_save_interval').addEventListener('change', async (event) => {
+    const minutes = Math.max(1, Math.min(1440, parseInt(event.target.value) || defaultSettings.periodic_save_interval_minutes));
+    event.target.value = minutes;
+    await chrome.storage.local.set({ periodic_save_interval_minutes: minutes });
+});
+
+document.querySelector('#reload_after_late_restore').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ reload_after_late_restore: event.target.checked });
+});
+
+// Optional in Firefox, permissions.request() needs the click
+document.querySelector('#allow_user_scripts').addEventListener('click', async () => {
+    try {
+        if (!await chrome.permissions.request({ permissions: ['userScripts'] })) {
+            showToast('User scripts were not allowed', true);
+        }
+    } catch (e) {
+        console.error('Failed to request the userScripts permission:', e);
+        showToast('User scripts are not supported by this browser', true);
+    }
+});
+
+// Storage type toggles (localStorage, sessionStorage and IndexedDB)
+['save_localStorage', 'save_sessionStorage', 'save_indexedDB'].forEach(id => {
     document.querySelector('#' + id).addEventListener('change', async (event) => {
         await chrome.storage.local.set({ [event.target.id]: event.target.checked });
     });
 });
 
+document.querySelector('#save_sessionStorage').addEventListener('change', (event) => {
+    document.querySelector('#session_storage_section').style.display = event.target.checked ? 'block' : 'none';
+});
+
+document.querySelector('#session_storage_restore').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ session_storage_restore: event.target.value });
+});
+
 // Cache API toggle with warning modal
 document.querySelector('#save_cacheAPI').addEventListener('change', async (event) => {
     const isEnabled = event.target.checked;
@@ -430,6 +1238,271 @@ document.querySelector('#cache_size_limit').addEventListener('change', async (ev
     await chrome.storage.local.set({ cache_size_limit_mb: limit });
 });
 
+// OPFS toggle and size limit
+document.querySelector('#save_opfs').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ save_opfs: event.target.checked });
+    document.querySelector('#opfs_section').style.display = event.target.checked ? 'block' : 'none';
+});
+
+document.querySelector('#opfs_size_limit').addEventListener('change', async (event) => {
+    const limit = Math.max(1, Math.min(500, parseInt(event.target.value) || 50));
+    event.target.value = limit;
+    await chrome.storage.local.set({ opfs_size_limit_mb: limit });
+});
+
+// Storage budget, applied on the next save
+document.querySelector('#storage_budget').addEventListener('change', async (event) => {
+    const budget = Math.max(0, Math.min(1000, parseInt(event.target.value) || 0));
+    event.target.value = budget;
+    await chrome.storage.local.set({ storage_budget_mb: budget });
+    update_storage_stats();
+});
+
+document.querySelector('#storage_eviction').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ storage_eviction: event.target.value });
+    update_storage_stats();
+});
+
+// Site filter handlers
+document.querySelector('#site_filter_mode').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ site_filter_mode: event.target.value });
+});
+
+document.querySelector('#site_filter_add').addEventListener('click', async () => {
+    const input = document.querySelector('#site_filter_input');
+    if (await add_site_rule(input.value)) {
+        input.value = '';
+    }
+});
+
+document.querySelector('#site_filter_input').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+        document.querySelector('#site_filter_add').click();
+    }
+});
+
+document.querySelector('#site_filter_add_current').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const origin = tab && getOriginFromUrl(tab.url);
+
+    if (!origin || !origin.startsWith('http')) {
+        showToast('❌ No website in the current tab', true);
+        return;
+    }
+
+    await add_site_rule('site:' + new URL(origin).hostname);
+});
+
+// Session cookie handlers
+document.querySelector('#session_cookie_policy').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ session_cookie_policy: event.target.value });
+});
+
+document.querySelector('#session_cookie_lifetime_days').addEventListener('change', async (event) => {
+    // Browsers cap cookie lifetimes at 400 days
+    const days = Math.max(1, Math.min(400, parseInt(event.target.value) || defaultSettings.session_cookie_lifetime_days));
+    event.target.value = days;
+    await chrome.storage.local.set({ session_cookie_lifetime_days: days });
+});
+
+document.querySelector('#session_override_add').addEventListener('click', async () => {
+    const input = document.querySelector('#session_override_input');
+    if (await add_session_override(input.value, document.querySelector('#session_override_policy').value)) {
+        input.value = '';
+    }
+});
+
+document.querySelector('#session_override_input').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+        document.querySelector('#session_override_add').click();
+    }
+});
+
+// Profile handlers
+document.querySelector('#active_profile').addEventListener('change', async (event) => {
+    await switchProfile(event.target.value);
+});
+
+document.querySelector('#startup_profile').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ startup_profile: event.target.value });
+});
+
+document.querySelector('#profile_add').addEventListener('click', async () => {
+    const input = document.querySelector('#profile_name');
+
+    try {
+        const profile = await createProfile(input.value);
+        input.value = '';
+        showToast(`✅ Profile "${profile}" created`);
+    } catch (e) {
+        showToast('❌ ' + e.message, true);
+    }
+
+    update_profiles();
+});
+
+document.querySelector('#profile_name').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+        document.querySelector('#profile_add').click();
+    }
+});
+
+document.querySelector('#profile_delete').addEventListener('click', async () => {
+    const profile = await getActiveProfile();
+
+    try {
+        await deleteProfile(profile);
+        showToast(`🗑️ Profile "${profile}" deleted`);
+    } catch (e) {
+        showToast('❌ ' + e.message, true);
+    }
+
+    update_profiles();
+    update_storage_stats();
+});
+
+// Encryption handlers
+document.querySelector('#encryption_enable').addEventListener('click', () => {
+    showPassphraseModal('enable');
+});
+
+document.querySelector('#encryption_unlock').addEventListener('click', () => {
+    showPassphraseModal('unlock');
+});
+
+document.querySelector('#encryption_lock').addEventListener('click', async () => {
+    await lockSavedData();
+    update_encryption_state();
+    update_button_states();
+    update_storage_stats();
+});
+
+document.querySelector('#encryption_disable').addEventListener('click', async () => {
+    try {
+        await disableEncryption();
+        showToast('✅ Saved data is no longer encrypted');
+    } catch (e) {
+        console.error('Failed to disable encryption:', e);
+        showToast('❌ ' + e.message, true);
+    }
+
+    update_encryption_state();
+    update_button_states();
+    update_storage_stats();
+});
+
+document.querySelector('#passphrase_submit').addEventListener('click', async () => {
+    const passphrase = document.querySelector('#passphrase_input').value;
+    const submitBtn = document.querySelector('#passphrase_submit');
+
+    if (!passphrase) {
+        showPassphraseError('Enter a passphrase');
+        return;
+    }
+
+    if (passphraseModes[passphraseMode].confirm && passphrase !== document.querySelector('#passphrase_confirm').value) {
+        showPassphraseError('Passphrases do not match');
+        return;
+    }
+
+    submitBtn.disabled = true;
+
+    try {
+        if (passphraseMode === 'enable') {
+            await enableEncryption(passphrase);
+            hidePassphraseModal();
+            showToast('✅ Saved data encrypted');
+        } else if (passphraseMode === 'backup') {
+            hidePassphraseModal();
+            await downloadBackup(passphrase);
+        } else if (await unlockSavedData(passphrase)) {
+            hidePassphraseModal();
+            showToast('🔓 Saved data unlocked');
+            // Let the background finish a restore that was skipped while locked
+            chrome.runtime.sendMessage({ action: 'dataUnlocked' });
+        } else {
+            showPassphraseError('Wrong passphrase');
+        }
+    } catch (e) {
+        console.error('Passphrase operation failed:', e);
+        showPassphraseError(e.message);
+    } finally {
+        submitBtn.disabled = false;
+    }
+
+    update_encryption_state();
+    update_button_states();
+    update_storage_stats();
+});
+
+['passphrase_input', 'passphrase_confirm'].forEach(id => {
+    document.querySelector('#' + id).addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            document.querySelector('#passphrase_submit').click();
+        }
+    });
+});
+
+document.querySelector('#passphrase_skip').addEventListener('click', async () => {
+    hidePassphraseModal();
+    await downloadBackup();
+});
+
+document.querySelector('#passphrase_cancel').addEventListener('click', () => {
+    hidePassphraseModal();
+});
+
+// Snapshot history handlers
+document.querySelector('#snapshot_max_count').addEventListener('change', async (event) => {
+    const count = Math.max(0, Math.min(100, parseInt(event.target.value) || 0));
+    event.target.value = count;
+    await chrome.storage.local.set({ snapshot_max_count: count });
+    await pruneSnapshots();
+});
+
+document.querySelector('#snapshot_max_age_days').addEventListener('change', async (event) => {
+    const days = Math.max(1, Math.min(365, parseInt(event.target.value) || defaultSettings.snapshot_max_age_days));
+    event.target.value = days;
+    await chrome.storage.local.set({ snapshot_max_age_days: days });
+    await pruneSnapshots();
+});
+
+document.querySelector('#snapshot_max_total_mb').addEventListener('change', async (event) => {
+    const mb = Math.max(1, Math.min(1000, parseInt(event.target.value) || defaultSettings.snapshot_max_total_mb));
+    event.target.value = mb;
+    await chrome.storage.local.set({ snapshot_max_total_mb: mb });
+    await pruneSnapshots();
+});
+
+document.querySelector('#history').addEventListener('click', async () => {
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        return;
+    }
+
+    await pruneSnapshots();
+    await render_history();
+    document.querySelector('#history_modal').classList.add('active');
+});
+
+document.querySelector('#history_close').addEventListener('click', () => {
+    document.querySelector('#history_modal').classList.remove('active');
+});
+
+// Restore report handlers
+document.querySelector('#restore_report_details').addEventListener('click', () => {
+    render_restore_report_details(lastRestoreReport);
+    document.querySelector('#report_modal').classList.add('active');
+});
+
+document.querySelector('#restore_report_download').addEventListener('click', async () => {
+    await downloadRestoreReport(lastRestoreReport);
+});
+
+document.querySelector('#report_close').addEventListener('click', () => {
+    document.querySelector('#report_modal').classList.remove('active');
+});
+
 // Save button
 document.querySelector('#save').addEventListener('click', async () => {
     await saveAllData();
@@ -442,7 +1515,8 @@ document.querySelector('#restore_now').addEventListener('click', async () => {
 
 // Delete button
 document.querySelector('#delete').addEventListener('click', async () => {
-    await chrome.storage.local.remove(['cookies', 'webStorage']);
+    await removeSavedData();
+    await deleteSnapshots({ profile: await getActiveProfile() });
     update_storage_stats();
 
     if (await is_private_window_open()) {
@@ -453,24 +1527,46 @@ document.querySelector('#delete').addEventListener('click', async () => {
 
 // Backup button
 document.querySelector('#backup').addEventListener('click', async () => {
-    const stored = await chrome.storage.local.get(['cookies', 'webStorage']);
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        return;
+    }
 
-    const backupData = {
-        version: 2,
-        timestamp: new Date().toISOString(),
-        cookies: stored.cookies || [],
-        webStorage: stored.webStorage || {}
-    };
+    // Ask for a backup password, the download happens from the passphrase modal
+    showPassphraseModal('backup');
+});
 
-    objectURL = URL.createObjectURL(new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' }));
+document.querySelector('#compress_backups').addEventListener('change', async (event) => {
+    await chrome.storage.local.set({ compress_backups: event.target.checked });
+});
 
-    chrome.downloads.download({
-        url: objectURL,
-        filename: 'private-window-data.json',
-        saveAs: true
-    }).then((id) => {
-        downloadID = id;
-    });
+// Export for other tools
+document.querySelector('#export').addEventListener('click', async () => {
+    if (await isSavedDataLocked()) {
+        showToast('🔒 Unlock saved data first', true);
+        return;
+    }
+
+    document.querySelector('#export_error').style.display = 'none';
+    document.querySelector('#export_modal').classList.add('active');
+    document.querySelector('#export_domains').focus();
+});
+
+document.querySelector('#export_submit').addEventListener('click', async () => {
+    const errorEl = document.querySelector('#export_error');
+    try {
+        const { summary, skipped } = await downloadExport();
+        document.querySelector('#export_modal').classList.remove('active');
+        showToast(`✅ Exported ${summary}` + (skipped ? `, ${skipped}` : ''));
+    } catch (e) {
+        console.error('Failed to export:', e);
+        errorEl.textContent = e.message;
+        errorEl.style.display = 'block';
+    }
+});
+
+document.querySelector('#export_cancel').addEventListener('click', () => {
+    document.querySelector('#export_modal').classList.remove('active');
 });
 
 chrome.downloads.onChanged.addListener((download) => {
@@ -481,6 +1577,11 @@ chrome.downloads.onChanged.addListener((download) => {
     }
 });
 
+// Inspector - browse and edit saved data in a dedicated tab
+document.querySelector('#inspect').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('inspector.html') });
+});
+
 // Restore from file - open dedicated restore page to avoid popup auto-close
 document.querySelector('#restore').addEventListener('click', () => {
     // Open restore page in a new tab (popup closes when file picker opens)
@@ -502,20 +1603,44 @@ chrome.windows.onRemoved.addListener(() => {
 
 chrome.permissions.onAdded.addListener(() => {
     update_warning();
+    update_early_restore_status();
 });
 
 chrome.permissions.onRemoved.addListener(() => {
     update_warning();
+    update_early_restore_status();
 });
 
 // Debounced storage change listener for better performance
 chrome.storage.onChanged.addListener((changes) => {
-    if (changes.cookies || changes.webStorage) {
+    if (isSavedDataChange(changes)) {
         debouncedUpdateStorageStats(); // Debounced to prevent rapid-fire updates
     }
+    if (changes.profiles || changes.active_profile || changes.startup_profile) {
+        update_profiles();
+        debouncedUpdateStorageStats();
+    }
     if (changes.last_saved) {
         update_last_saved();
     }
+    if (changes.auto_save_last_success || changes.auto_save_last_error) {
+        update_button_states();
+    }
+    if (changes.periodic_save || changes.periodic_save_interval_minutes || changes.periodic_save_last_run) {
+        debouncedUpdatePeriodicSaveNext();
+    }
+    if (changes.cookies_pruned || changes.last_storage_eviction || changes.pinned_origins || changes.snapshot_index) {
+        debouncedUpdateStorageStats();
+    }
+    if (changes.last_restore_report) {
+        render_restore_report(changes.last_restore_report.newValue || null);
+    }
+    if (changes.encryption_enabled) {
+        update_encryption_state();
+    }
+    if (changes.encryption_enabled || changes.save_localStorage || changes.extension_enabled) {
+        update_early_restore_status();
+    }
 });
 
 // Toast notification helper
@@ -547,6 +1672,7 @@ document.querySelector('#nuclear_confirm').addEventListener('click', async () =>
     try {
         // Clear everything from chrome.storage.local
         await chrome.storage.local.clear();
+        await lockSavedData();
 
         // Reset to default settings
         await chrome.storage.local.set(defaultSettings);
@@ -561,14 +1687,37 @@ document.querySelector('#nuclear_confirm').addEventListener('click', async () =>
         update_storage_stats();
         update_button_states();
         update_last_saved();
+        update_encryption_state();
+        update_profiles();
 
         // Reset checkboxes to defaults
         document.querySelector('#extension_enabled').checked = defaultSettings.extension_enabled;
         document.querySelector('#auto_save').checked = defaultSettings.auto_save;
+        document.querySelector('#reload_after_late_restore').checked = defaultSettings.reload_after_late_restore;
+        document.querySelector('#periodic_save').checked = defaultSettings.periodic_save;
+        document.querySelector('#periodic_save_interval').value = defaultSettings.periodic_save_interval_minutes;
+        document.querySelector('#periodic_save_section').style.display = 'none';
         document.querySelector('#save_localStorage').checked = defaultSettings.save_localStorage;
+        document.querySelector('#save_sessionStorage').checked = defaultSettings.save_sessionStorage;
+        document.querySelector('#session_storage_restore').value = defaultSettings.session_storage_restore;
+        document.querySelector('#session_storage_section').style.display = 'none';
         document.querySelector('#save_indexedDB').checked = defaultSettings.save_indexedDB;
         document.querySelector('#save_cacheAPI').checked = defaultSettings.save_cacheAPI;
+        document.querySelector('#save_opfs').checked = defaultSettings.save_opfs;
+        document.querySelector('#opfs_size_limit').value = defaultSettings.opfs_size_limit_mb;
+        document.querySelector('#opfs_section').style.display = 'none';
         document.querySelector('#cache_size_limit').value = defaultSettings.cache_size_limit_mb;
+        document.querySelector('#site_filter_mode').value = defaultSettings.site_filter_mode;
+        render_site_filter(defaultSettings.site_filter_rules);
+        document.querySelector('#session_cookie_policy').value = defaultSettings.session_cookie_policy;
+        document.querySelector('#session_cookie_lifetime_days').value = defaultSettings.session_cookie_lifetime_days;
+        render_session_overrides(defaultSettings.session_cookie_overrides);
+        document.querySelector('#snapshot_max_count').value = defaultSettings.snapshot_max_count;
+        document.querySelector('#snapshot_max_age_days').value = defaultSettings.snapshot_max_age_days;
+        document.querySelector('#snapshot_max_total_mb').value = defaultSettings.snapshot_max_total_mb;
+        document.querySelector('#storage_budget').value = defaultSettings.storage_budget_mb;
+        document.querySelector('#storage_eviction').value = defaultSettings.storage_eviction;
+        document.querySelector('#compress_backups').checked = defaultSettings.compress_backups;
 
         // Hide cache warning/limit section
         document.querySelector('#cache_warning').style.display = 'none';
@@ -4,6 +4,17 @@
 const dropZone = document.getElementById('drop_zone');
 const fileInput = document.getElementById('file_input');
 const statusEl = document.getElementById('status');
+const passwordPrompt = document.getElementById('password_prompt');
+const passwordInput = document.getElementById('backup_password');
+const profileSelect = document.getElementById('import_profile');
+
+const previewEl = document.getElementById('preview');
+
+// Encrypted backup waiting for its password
+let pendingEnvelope = null;
+
+// Parsed backup shown in the import preview
+let pendingBackup = null;
 
 // Click to browse
 dropZone.addEventListener('click', () => {
@@ -38,6 +49,29 @@ fileInput.addEventListener('change', () => {
     }
 });
 
+// Profile selector, defaults to the active profile
+async function loadProfiles() {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    profileSelect.textContent = '';
+    for (const profile of settings.profiles) {
+        profileSelect.appendChild(new Option(profile, profile));
+    }
+    profileSelect.value = settings.active_profile;
+}
+
+// Preselect the profile a backup was made from, offering to create it if missing
+function selectBackupProfile(profile) {
+    if (typeof profile !== 'string' || !profile.trim()) return;
+
+    const existing = findProfileName(Array.from(profileSelect.options).map(option => option.value), profile);
+    if (!existing) {
+        profileSelect.appendChild(new Option(`${profile} (new)`, profile));
+    }
+    profileSelect.value = existing || profile;
+}
+
+loadProfiles();
+
 // Cancel button
 document.getElementById('cancel_btn').addEventListener('click', () => {
     window.close();
@@ -48,89 +82,470 @@ function showStatus(message, type) {
     statusEl.textContent = message;
 }
 
+function showPasswordPrompt(visible) {
+    passwordPrompt.style.display = visible ? 'block' : 'none';
+    passwordInput.value = '';
+    if (visible) {
+        passwordInput.focus();
+    }
+}
+
+// Decrypt button for password-protected backups
+document.getElementById('decrypt_btn').addEventListener('click', async () => {
+    if (!pendingEnvelope) return;
+
+    if (!passwordInput.value) {
+        showStatus('Enter the backup password', 'error');
+        return;
+    }
+
+    showStatus('Decrypting...', 'loading');
+
+    let data;
+    try {
+        data = await decryptBackup(pendingEnvelope, passwordInput.value);
+    } catch (e) {
+        showStatus('❌ ' + e.message, 'error');
+        passwordInput.select();
+        return;
+    }
+
+    pendingEnvelope = null;
+    showPasswordPrompt(false);
+    loadBackup(data);
+});
+
+passwordInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        document.getElementById('decrypt_btn').click();
+    }
+});
+
 async function processFile(file) {
     if (!file || file.size === 0) {
         showStatus('No file selected', 'error');
         return;
     }
 
-    if (!file.name.endsWith('.json')) {
-        showStatus('Please select a JSON file', 'error');
+    if (!['.json', '.gz', '.txt'].some(extension => file.name.endsWith(extension))) {
+        showStatus('Please select a backup (.json, .json.gz) or cookies.txt file', 'error');
         return;
     }
 
     showStatus('Processing...', 'loading');
+    pendingEnvelope = null;
+    pendingBackup = null;
+    showPasswordPrompt(false);
+    previewEl.style.display = 'none';
 
+    let data;
+    let notes = [];
+    let source;
     try {
-        const text = await file.text();
+        // Compressed backups are recognized by their content, whatever the file is named
+        let bytes = new Uint8Array(await file.arrayBuffer());
+        if (isGzipData(bytes)) {
+            bytes = await decompressBytes(bytes);
+        }
+        ({ data, notes, source } = parseImportFile(new TextDecoder().decode(bytes)));
+    } catch (e) {
+        console.error('Failed to read backup file:', e);
+        showStatus('❌ ' + e.message, 'error');
+        return;
+    }
+
+    if (isEncryptedBackup(data)) {
+        pendingEnvelope = data;
+        showStatus('🔒 This backup is password protected', 'loading');
+        showPasswordPrompt(true);
+        return;
+    }
+
+    loadBackup(data, notes, source);
+}
+
+/**
+ * Read an import file: a JSON backup, or data from another tool.
+ * @param {string} text
+ * @returns {{data: *, notes: string[], source?: string}} Backup data, what couldn't be
+ *   converted, and the tool the data comes from if it isn't a backup
+ */
+function parseImportFile(text) {
+    const start = text.trimStart()[0];
+    if (start === '{' || start === '[') {
         const data = JSON.parse(text);
+        // A Playwright storageState becomes a v2 backup
+        if (isStorageState(data)) {
+            return { ...parseStorageState(data), source: 'Playwright storageState' };
+        }
+        // Cookie arrays of other tools only look like v1 backups, they need their own adapter
+        if (isCookieExport(data)) {
+            const { cookies, notes, format } = parseCookieExport(data);
+            if (cookies.length === 0) {
+                throw new Error(`No cookies could be converted from this ${format} export (${notes[0]})`);
+            }
+            return { data: cookies, notes: notes, source: `${format} export` };
+        }
+        return { data: data, notes: [] };
+    }
 
-        // Handle both v1 (cookies only) and v2/v3 (full data) formats
-        let cookies = [];
-        let webStorage = {};
-
-        if (data.version === 2 || data.version === 3) {
-            cookies = data.cookies || [];
-            webStorage = data.webStorage || {};
-        } else if (Array.isArray(data)) {
-            // v1 format: just an array of cookies
-            cookies = data;
-        } else if (data.cookies || data.webStorage) {
-            // Unversioned but has the right structure
-            cookies = data.cookies || [];
-            webStorage = data.webStorage || {};
+    // Anything else has to be a Netscape cookies.txt file, its cookies import like a v1 backup
+    const { cookies, skipped } = parseNetscapeCookies(text);
+    const notes = skipped.map(({ line, reason }) => `Line ${line}: ${reason}`);
+    if (cookies.length === 0) {
+        throw new Error('Not a backup or cookies.txt file, no cookies found' + (notes.length ? ` (${notes[0]})` : ''));
+    }
+    return { data: cookies, notes: notes, source: 'cookies.txt file' };
+}
+
+// Show at most this many schema errors of an invalid backup
+const MAX_SHOWN_ERRORS = 8;
+
+function formatErrorList(errors) {
+    const more = errors.length > MAX_SHOWN_ERRORS ? `\n…and ${errors.length - MAX_SHOWN_ERRORS} more` : '';
+    return errors.slice(0, MAX_SHOWN_ERRORS).join('\n') + more;
+}
+
+/**
+ * Parse a backup and show the import preview.
+ * @param {*} data - Parsed backup file
+ * @param {string[]} [notes] - Records of the file that couldn't be converted, shown with the preview
+ * @param {string} [source] - Tool the data comes from, shown instead of the backup's metadata
+ */
+function loadBackup(data, notes = [], source) {
+    let backup;
+    try {
+        backup = migrateBackup(data);
+    } catch (e) {
+        console.error('Failed to read backup:', e);
+        showStatus('❌ ' + e.message, 'error');
+        return;
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        console.error('Invalid backup:', errors);
+        showStatus(`❌ The backup file is invalid, nothing was imported:\n${formatErrorList(errors)}`, 'error');
+        return;
+    }
+
+    pendingBackup = parseBackup(backup);
+    selectBackupProfile(backup.metadata.profile);
+
+    showPreview(pendingBackup);
+    const skipped = notes.length > 0 ? `\n⚠️ ${plural(notes.length, 'record')} could not be converted and will be left out:\n${formatErrorList(notes)}` : '';
+    showStatus(`${source || describeBackup(backup.metadata)}\nChoose what to import${skipped}`, 'loading');
+}
+
+/**
+ * Describe where a backup comes from, e.g. 'Backup of "Work" · created 1/2/2026, 10:00:00 · Firefox 128.0 · extension 2.0.0'
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function describeBackup(metadata) {
+    const parts = [metadata.profile ? `Backup of "${metadata.profile}"` : 'Backup'];
+    if (metadata.created) parts.push(`created ${new Date(metadata.created).toLocaleString()}`);
+    if (metadata.browser) parts.push(`${metadata.browser.name} ${metadata.browser.version}`.trim());
+    if (metadata.extensionVersion) parts.push(`extension ${metadata.extensionVersion}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Take cookies, web storage and settings from a validated backup and convert
+ * cookies for the current browser.
+ * @param {Object} backup - Current-version backup, see migrateBackup
+ * @returns {{cookies: Array, webStorage: Object, settings: Object}}
+ */
+function parseBackup(backup) {
+    const { cookies, webStorage, settings } = backup;
+
+    // Convert cookies if needed (use isFirefox and cookie_store from utils.js)
+    for (const cookie of cookies) {
+        if (cookie.storeId === (isFirefox ? '1' : 'firefox-private')) {
+            cookie.storeId = cookie_store;
+        }
+
+        if (isFirefox) {
+            if (cookie.sameSite === 'unspecified') {
+                cookie.sameSite = 'no_restriction';
+            }
+            if (cookie.firstPartyDomain === undefined) {
+                cookie.firstPartyDomain = '';
+            }
+            if (cookie.partitionKey === undefined) {
+                cookie.partitionKey = null;
+            }
         } else {
-            throw new Error('Unrecognized backup file format');
+            if (!cookie.secure && cookie.sameSite === 'no_restriction') {
+                cookie.sameSite = 'unspecified';
+            }
+            if (cookie.firstPartyDomain !== undefined) {
+                delete cookie.firstPartyDomain;
+            }
+            if (cookie.partitionKey !== undefined) {
+                delete cookie.partitionKey;
+            }
         }
+    }
+
+    return { cookies, webStorage, settings };
+}
+
+// ============ Import Preview ============
+
+// Web storage types shown in the preview, in display order
+const STORAGE_TYPES = [
+    { key: 'localStorage', label: 'localStorage', count: data => Object.keys(data).length, unit: 'key' },
+    { key: 'sessionStorage', label: 'sessionStorage', count: data => Object.keys(data).length, unit: 'key' },
+    { key: 'indexedDB', label: 'IndexedDB', count: data => data.length, unit: 'database' },
+    { key: 'cacheStorage', label: 'Cache API', count: data => data.length, unit: 'cache' },
+    { key: 'opfs', label: 'OPFS', count: data => data.files.length, unit: 'file' }
+];
+
+function groupCookiesByDomain(cookies) {
+    const domains = {};
+    for (const cookie of cookies) {
+        const domain = (cookie.domain || '').replace(/^\./, '');
+        (domains[domain] = domains[domain] || []).push(cookie);
+    }
+    return domains;
+}
+
+function createCheckbox(dataset, label, detail) {
+    const row = document.createElement('label');
+    row.className = 'preview-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    Object.assign(checkbox.dataset, dataset);
 
-        console.log(`Restoring: ${cookies.length} cookies, ${Object.keys(webStorage).length} origins`);
+    const text = document.createElement('span');
+    text.className = 'preview-label';
+    text.textContent = label;
 
-        // Convert cookies if needed (use isFirefox and cookie_store from utils.js)
-        for (const cookie of cookies) {
-            if (cookie.storeId === (isFirefox ? '1' : 'firefox-private')) {
-                cookie.storeId = cookie_store;
+    const meta = document.createElement('span');
+    meta.className = 'preview-meta';
+    meta.textContent = detail;
+
+    row.append(checkbox, text, meta);
+    return row;
+}
+
+function showPreview(backup) {
+    const typesEl = document.getElementById('preview_types');
+    const cookiesEl = document.getElementById('preview_cookies');
+    const originsEl = document.getElementById('preview_origins');
+
+    typesEl.textContent = '';
+    cookiesEl.textContent = '';
+    originsEl.textContent = '';
+
+    // Storage type toggles
+    typesEl.appendChild(createCheckbox({ type: 'cookies' }, 'Cookies',
+        `${plural(backup.cookies.length, 'cookie')}, ${formatBytes(getJSONSize(backup.cookies))}`));
+    for (const type of STORAGE_TYPES) {
+        const origins = Object.values(backup.webStorage).filter(data => data[type.key]);
+        const size = origins.reduce((sum, data) => sum + getJSONSize(data[type.key]), 0);
+        if (origins.length > 0) {
+            typesEl.appendChild(createCheckbox({ type: type.key }, type.label,
+                `${plural(origins.length, 'origin')}, ${formatBytes(size)}`));
+        }
+    }
+
+    // Settings are only imported when asked for, they apply to every profile
+    const settingCount = Object.keys(backup.settings).length;
+    if (settingCount > 0) {
+        const row = createCheckbox({ type: 'settings' }, 'Settings', `${plural(settingCount, 'setting')}, all profiles`);
+        row.querySelector('input').checked = false;
+        typesEl.appendChild(row);
+    }
+
+    // Cookie domains
+    const domains = groupCookiesByDomain(backup.cookies);
+    document.getElementById('preview_cookies_title').textContent = `Cookie domains (${Object.keys(domains).length})`;
+    for (const domain of Object.keys(domains).sort()) {
+        cookiesEl.appendChild(createCheckbox({ domain: domain }, domain,
+            `${plural(domains[domain].length, 'cookie')}, ${formatBytes(getJSONSize(domains[domain]))}`));
+    }
+
+    // Origins with their storage types
+    const origins = Object.keys(backup.webStorage).sort();
+    document.getElementById('preview_origins_title').textContent = `Origins (${origins.length})`;
+    for (const origin of origins) {
+        const data = backup.webStorage[origin];
+        const group = document.createElement('div');
+        group.className = 'preview-group';
+        group.appendChild(createCheckbox({ origin: origin }, formatStorageKey(origin), formatBytes(getJSONSize(data))));
+
+        const types = document.createElement('div');
+        types.className = 'preview-subitems';
+        for (const type of STORAGE_TYPES) {
+            if (data[type.key]) {
+                types.appendChild(createCheckbox({ origin: origin, originType: type.key }, type.label,
+                    `${plural(type.count(data[type.key]), type.unit)}, ${formatBytes(getJSONSize(data[type.key]))}`));
+            }
+        }
+        group.appendChild(types);
+        originsEl.appendChild(group);
+    }
+
+    previewEl.style.display = 'block';
+}
+
+function isChecked(selector) {
+    const checkbox = previewEl.querySelector(selector);
+    return !checkbox || checkbox.checked;
+}
+
+/**
+ * Build the subset of a backup selected in the preview.
+ * @param {{cookies: Array, webStorage: Object, settings: Object}} backup
+ * @returns {{cookies: Array, webStorage: Object, settings: Object}}
+ */
+function getSelectedData(backup) {
+    const cookies = [];
+    const webStorage = {};
+    const settingsCheckbox = previewEl.querySelector('[data-type="settings"]');
+    const settings = settingsCheckbox && settingsCheckbox.checked ? backup.settings : {};
+
+    if (isChecked('[data-type="cookies"]')) {
+        for (const cookie of backup.cookies) {
+            const domain = (cookie.domain || '').replace(/^\./, '');
+            if (isChecked(`[data-domain="${CSS.escape(domain)}"]`)) {
+                cookies.push(cookie);
             }
+        }
+    }
+
+    for (const [origin, data] of Object.entries(backup.webStorage)) {
+        const escaped = CSS.escape(origin);
+        if (!isChecked(`[data-origin="${escaped}"]:not([data-origin-type])`)) continue;
 
-            if (isFirefox) {
-                if (cookie.sameSite === 'unspecified') {
-                    cookie.sameSite = 'no_restriction';
-                }
-                if (cookie.firstPartyDomain === undefined) {
-                    cookie.firstPartyDomain = '';
-                }
-                if (cookie.partitionKey === undefined) {
-                    cookie.partitionKey = null;
-                }
-            } else {
-                if (!cookie.secure && cookie.sameSite === 'no_restriction') {
-                    cookie.sameSite = 'unspecified';
-                }
-                if (cookie.firstPartyDomain !== undefined) {
-                    delete cookie.firstPartyDomain;
-                }
-                if (cookie.partitionKey !== undefined) {
-                    delete cookie.partitionKey;
-                }
+        const selected = {};
+        for (const type of STORAGE_TYPES) {
+            if (data[type.key] && isChecked(`[data-type="${type.key}"]`) &&
+                isChecked(`[data-origin="${escaped}"][data-origin-type="${type.key}"]`)) {
+                selected[type.key] = data[type.key];
             }
         }
 
-        // Save to storage
-        await chrome.storage.local.set({
-            cookies: cookies,
-            webStorage: webStorage,
+        if (Object.keys(selected).length > 0) {
+            webStorage[origin] = selected;
+        }
+    }
+
+    return { cookies, webStorage, settings };
+}
+
+// Select all / none
+document.getElementById('select_all').addEventListener('click', () => {
+    previewEl.querySelectorAll('input[type="checkbox"]:not(#merge_import)').forEach(cb => cb.checked = true);
+});
+
+document.getElementById('select_none').addEventListener('click', () => {
+    previewEl.querySelectorAll('input[type="checkbox"]:not(#merge_import)').forEach(cb => cb.checked = false);
+});
+
+// Toggling an origin toggles its storage types
+previewEl.addEventListener('change', (e) => {
+    const checkbox = e.target;
+    if (checkbox.dataset.origin && !checkbox.dataset.originType) {
+        previewEl.querySelectorAll(`[data-origin="${CSS.escape(checkbox.dataset.origin)}"][data-origin-type]`)
+            .forEach(cb => cb.checked = checkbox.checked);
+    }
+});
+
+document.getElementById('import_btn').addEventListener('click', async () => {
+    if (!pendingBackup) return;
+
+    const selected = getSelectedData(pendingBackup);
+    if (selected.cookies.length === 0 && Object.keys(selected.webStorage).length === 0 &&
+        Object.keys(selected.settings).length === 0) {
+        showStatus('Nothing selected to import', 'error');
+        return;
+    }
+
+    await importData(selected, document.getElementById('merge_import').checked);
+});
+
+/**
+ * Merge imported data into existing saved data. Imported cookies replace saved
+ * cookies with the same name, domain and path; imported storage types replace
+ * the same types of an origin.
+ */
+function mergeData(existing, imported) {
+    const cookieKey = cookie => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+    const importedKeys = new Set(imported.cookies.map(cookieKey));
+
+    const webStorage = { ...existing.webStorage };
+    for (const [origin, data] of Object.entries(imported.webStorage)) {
+        webStorage[origin] = { ...webStorage[origin], ...data };
+    }
+
+    return {
+        cookies: [...existing.cookies.filter(cookie => !importedKeys.has(cookieKey(cookie))), ...imported.cookies],
+        webStorage: webStorage
+    };
+}
+
+async function importData(imported, merge) {
+    try {
+        const { cookies, webStorage, settings } = imported;
+        let profile = profileSelect.value || DEFAULT_PROFILE;
+
+        if (Object.keys(settings).length > 0) {
+            await chrome.storage.local.set(settings);
+
+            if (cookies.length === 0 && Object.keys(webStorage).length === 0) {
+                showStatus(`✅ Imported ${plural(Object.keys(settings).length, 'setting')}`, 'success');
+                return;
+            }
+        }
+
+        console.log(`Restoring into "${profile}": ${cookies.length} cookies, ${Object.keys(webStorage).length} origins`);
+
+        // Profile names are unique ignoring case, "work" imports into an existing "Work"
+        const existing = findProfileName(await getProfiles(), profile);
+        if (!existing) {
+            profile = await createProfile(profile);
+        } else {
+            profile = existing;
+            // Keep the state being replaced in the history
+            await recordSnapshot('before-import', true, profile);
+        }
+
+        const data = merge ? mergeData(await getSavedData(SAVED_DATA_KEYS, profile), imported) : imported;
+
+        // Save to storage (encrypted if encryption is enabled)
+        await setSavedData({
+            cookies: data.cookies,
+            webStorage: data.webStorage,
             last_saved: Date.now()
-        });
-
-        // Notify background to restore to any open private windows
-        try {
-            await chrome.runtime.sendMessage({ action: 'restoreAfterImport' });
-        } catch (e) {
-            // Background might not be ready, that's ok
-            console.log('Could not notify background:', e);
+        }, profile);
+        // Notify background to restore to any open private windows (only the active profile is restored)
+        let summary = null;
+        if (profile === await getActiveProfile()) {
+            try {
+                const response = await chrome.runtime.sendMessage({ action: 'restoreAfterImport' });
+                summary = response && response.summary;
+            } catch (e) {
+                // Background might not be ready, that's ok
+                console.log('Could not notify background:', e);
+            }
         }
 
         const originCount = Object.keys(webStorage).length;
-        showStatus(`✅ Restored ${cookies.length} cookies and ${originCount} origins!`, 'success');
+
+        // Keep the page open when something couldn't be restored into the private window
+        if (summary && (summary.cookiesFailed > 0 || summary.originsFailed > 0)) {
+            showStatus(`⚠️ Imported ${cookies.length} cookies and ${originCount} origins into "${profile}", but ` +
+                `${summary.cookiesFailed} cookies and ${summary.originsFailed} origins could not be restored. ` +
+                'See the restore report in the extension popup.', 'error');
+            return;
+        }
+
+        showStatus(`✅ Restored ${cookies.length} cookies and ${originCount} origins into "${profile}"!`, 'success');
 
         // Auto-close after 2 seconds
         setTimeout(() => {
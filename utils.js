@@ -8,12 +8,38 @@ var cookie_store = isFirefox ? 'firefox-private' : '1';
 const defaultSettings = {
     extension_enabled: true,
     auto_save: false,
+    periodic_save: false, // Save all private tabs on a fixed interval (chrome.alarms)
+    periodic_save_interval_minutes: 5,
+    reload_after_late_restore: false, // Reload a page once when its data was restored after its scripts started
     save_localStorage: true,
+    save_sessionStorage: false,
+    session_storage_restore: 'first', // Restore sessionStorage into the 'first' tab of an origin or 'all' tabs
     save_indexedDB: true,
     save_cacheAPI: false,
-    cache_size_limit_mb: 50
+    cache_size_limit_mb: 50,
+    save_opfs: false,
+    opfs_size_limit_mb: 50, // Per origin
+    site_filter_mode: 'off', // 'off', 'allowlist' or 'denylist'
+    site_filter_rules: [],
+    encryption_enabled: false,
+    profiles: ['Default'],
+    active_profile: 'Default', // Profile the current private session saves into
+    startup_profile: '', // Profile restored when a private window opens ('' = last active)
+    snapshot_max_count: 10, // Snapshots kept per profile (0 disables history)
+    snapshot_max_age_days: 7,
+    snapshot_max_total_mb: 4, // All snapshots together, as stored (compressed and/or encrypted)
+    session_cookie_policy: 'session', // 'session', 'persistent' or 'skip'
+    session_cookie_lifetime_days: 30, // Lifetime of session cookies made persistent
+    session_cookie_overrides: {}, // Site rule -> policy, first match wins
+    storage_budget_mb: 0, // All profiles and snapshots, 0 = no budget
+    storage_eviction: 'lru', // 'lru' drops least recently visited origins over budget, 'off' only warns
+    pinned_origins: [], // Storage keys never dropped by the budget
+    compress_backups: true // Write backups as .json.gz (encrypted ones are compressed inside)
 };
 
+// chrome.alarms name of the periodic save, scheduled by the background
+const PERIODIC_SAVE_ALARM = 'periodic_save';
+
 // ============ Cached State ============
 // Cache private window state to avoid repeated API calls
 let _cachedPrivateWindowOpen = null;
@@ -71,6 +97,40 @@ async function getPrivateTabs() {
     return tabs;
 }
 
+/**
+ * Pick the tabs that saved sessionStorage is restored into. sessionStorage
+ * belongs to a single tab, so by default only the first tab of each origin gets it.
+ * None do once saving sessionStorage is turned off.
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {Object} settings
+ * @returns {Set<number>} Tab ids
+ */
+function getSessionStorageTabs(tabs, settings) {
+    const origins = new Set();
+    const tabIds = new Set();
+    if (!settings.save_sessionStorage) return tabIds;
+
+    for (const tab of tabs) {
+        const origin = getOriginFromUrl(tab.url);
+        if (origin && (settings.session_storage_restore === 'all' || !origins.has(origin))) {
+            origins.add(origin);
+            tabIds.add(tab.id);
+        }
+    }
+
+    return tabIds;
+}
+
+/**
+ * Get an origin's saved data without its sessionStorage.
+ * @param {Object} data - Saved web storage of one origin
+ * @returns {Object}
+ */
+function withoutSessionStorage(data) {
+    const { sessionStorage, ...rest } = data;
+    return rest;
+}
+
 /**
  * Extract origin from a URL string.
  * @param {string} url 
@@ -84,74 +144,2903 @@ function getOriginFromUrl(url) {
     }
 }
 
+// ============ Site Filter ============
+
+// Multi-label public suffixes used to find a host's registrable domain (eTLD+1).
+// This is not the full Public Suffix List, only the suffixes that commonly show up.
+const MULTI_LABEL_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'net.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'net.nz', 'org.nz', 'govt.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+    'co.kr', 'or.kr', 'go.kr',
+    'com.br', 'net.br', 'org.br', 'gov.br',
+    'com.cn', 'net.cn', 'org.cn', 'gov.cn',
+    'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.tr', 'com.mx', 'com.ar',
+    'co.in', 'net.in', 'org.in', 'gov.in',
+    'co.za', 'co.il', 'co.id', 'co.th',
+    'github.io', 'gitlab.io', 'pages.dev', 'web.app', 'firebaseapp.com',
+    'herokuapp.com', 'netlify.app', 'vercel.app', 'azurewebsites.net',
+    'cloudfront.net', 'blogspot.com'
+]);
+
 /**
- * Restore cookies from storage to the private cookie store.
- * Uses Promise.allSettled for parallel restoration.
- * @returns {Promise<void>}
+ * Get the registrable domain (eTLD+1) of a host.
+ * IP addresses and single-label hosts are returned unchanged.
+ * @param {string} host
+ * @returns {string}
+ */
+function getRegistrableDomain(host) {
+    host = host.toLowerCase().replace(/^\./, '').replace(/\.$/, '');
+
+    if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) {
+        return host;
+    }
+
+    const labels = host.split('.');
+    const suffixLength = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+    return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Parse a site filter rule.
+ * Supported forms:
+ *   example.com        - exactly this host
+ *   *.example.com      - this host and all of its subdomains
+ *   site:example.com   - every host with the same registrable domain (eTLD+1)
+ * Full URLs are accepted and reduced to their host.
+ * @param {string} rule
+ * @returns {{type: string, host: string}|null} null if the rule is invalid
  */
-async function restore_cookies() {
-    const res = await chrome.storage.local.get('cookies');
-    if (!res.cookies || res.cookies.length === 0) return;
+function parseSiteRule(rule) {
+    let value = String(rule || '').trim().toLowerCase();
+    let type = 'exact';
+
+    if (value.startsWith('site:')) {
+        type = 'site';
+        value = value.slice(5).trim();
+    } else if (value.startsWith('*.')) {
+        type = 'subdomain';
+        value = value.slice(2);
+    }
 
-    const cookiePromises = res.cookies.map(originalCookie => {
+    if (value.includes('://')) {
         try {
-            // Clone cookie to avoid mutating stored data
-            const cookie = { ...originalCookie };
+            value = new URL(value).hostname;
+        } catch {
+            return null;
+        }
+    }
 
-            // Build the URL for the cookie
-            const domain = cookie.domain.charAt(0) === '.' ? cookie.domain.substr(1) : cookie.domain;
-            cookie.url = (cookie.secure ? 'https://' : 'http://') + domain + cookie.path;
+    value = value.replace(/^\./, '').replace(/\.$/, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(value) && !/^\[[0-9a-f:.]+\]$/.test(value)) {
+        return null;
+    }
 
-            // Remove unsupported properties
-            delete cookie.hostOnly;
-            delete cookie.session;
+    return { type, host: type === 'site' ? getRegistrableDomain(value) : value };
+}
 
-            // Handle __Host- prefixed cookies (must not have domain, must have secure and path=/)
-            if (cookie.name.startsWith('__Host-')) {
-                delete cookie.domain;
-                cookie.secure = true;
-                cookie.path = '/';
-            }
+/**
+ * Format a parsed site rule back to its canonical text form.
+ * @param {{type: string, host: string}} rule
+ * @returns {string}
+ */
+function formatSiteRule(rule) {
+    if (rule.type === 'site') return 'site:' + rule.host;
+    if (rule.type === 'subdomain') return '*.' + rule.host;
+    return rule.host;
+}
 
-            // Handle __Secure- prefixed cookies (must have secure)
-            if (cookie.name.startsWith('__Secure-')) {
-                cookie.secure = true;
-            }
+/**
+ * Check if a host matches a parsed site rule.
+ * @param {string} host
+ * @param {{type: string, host: string}} rule
+ * @returns {boolean}
+ */
+function hostMatchesSiteRule(host, rule) {
+    host = host.toLowerCase();
 
-            return chrome.cookies.set(cookie);
-        } catch (e) {
-            return Promise.resolve(); // Skip cookies that can't be processed
+    switch (rule.type) {
+        case 'site':
+            return getRegistrableDomain(host) === rule.host;
+        case 'subdomain':
+            return host === rule.host || host.endsWith('.' + rule.host);
+        default:
+            return host === rule.host;
+    }
+}
+
+function getSiteRules(settings) {
+    return (settings.site_filter_rules || []).map(parseSiteRule).filter(Boolean);
+}
+
+function isSiteFilterActive(settings) {
+    return settings.site_filter_mode === 'allowlist' || settings.site_filter_mode === 'denylist';
+}
+
+/**
+ * Check if data for a host may be saved/restored under the site filter settings.
+ * @param {string} host
+ * @param {Object} settings - Settings containing site_filter_mode and site_filter_rules
+ * @returns {boolean}
+ */
+function isHostAllowed(host, settings) {
+    if (!isSiteFilterActive(settings)) return true;
+
+    const matched = getSiteRules(settings).some(rule => hostMatchesSiteRule(host, rule));
+    return settings.site_filter_mode === 'allowlist' ? matched : !matched;
+}
+
+/**
+ * Check if data for an origin may be saved/restored under the site filter settings.
+ * @param {string} origin
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function isOriginAllowed(origin, settings) {
+    if (!isSiteFilterActive(settings)) return true;
+
+    try {
+        return isHostAllowed(new URL(origin).hostname, settings);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check if a cookie may be saved/restored under the site filter settings.
+ * In allowlist mode, a domain cookie (e.g. ".example.com") is also kept when it
+ * would be sent to an allowed host, so SSO cookies set on a parent domain survive.
+ * @param {chrome.cookies.Cookie} cookie
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function isCookieAllowed(cookie, settings) {
+    if (!isSiteFilterActive(settings)) return true;
+
+    const host = (cookie.domain || '').replace(/^\./, '');
+    if (isHostAllowed(host, settings)) return true;
+
+    if (settings.site_filter_mode === 'allowlist' && !cookie.hostOnly) {
+        return getSiteRules(settings).some(rule =>
+            rule.type !== 'site' && rule.host.endsWith('.' + host)
+        );
+    }
+
+    return false;
+}
+
+/**
+ * Filter a cookie list through the site filter settings.
+ * @param {chrome.cookies.Cookie[]} cookies
+ * @param {Object} settings
+ * @returns {chrome.cookies.Cookie[]}
+ */
+function filterCookies(cookies, settings) {
+    if (!isSiteFilterActive(settings)) return cookies;
+    return cookies.filter(cookie => isCookieAllowed(cookie, settings));
+}
+
+/**
+ * Filter a webStorage map (storage key -> data) through the site filter settings.
+ * @param {Object} webStorage
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function filterWebStorage(webStorage, settings) {
+    if (!isSiteFilterActive(settings)) return webStorage;
+
+    const filtered = {};
+    for (const [key, data] of Object.entries(webStorage)) {
+        if (isStorageKeyAllowed(key, settings)) {
+            filtered[key] = data;
+        }
+    }
+    return filtered;
+}
+
+// ============ Frame Storage ============
+// Web storage is captured from every frame of a tab. Browsers partition the
+// storage of a cross-site frame (login widgets, payment forms, chat widgets...)
+// by the top-level site, so its data is saved under "<frame origin>^<top-level site>".
+// Frames of the same site as the tab use their plain origin as key.
+
+const PARTITION_SEPARATOR = '^';
+
+/**
+ * Get the site (scheme + registrable domain) of a URL.
+ * @param {string} url
+ * @returns {string|null} e.g. "https://example.co.uk"
+ */
+function getTopLevelSite(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return hostname ? `${protocol}//${getRegistrableDomain(hostname)}` : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the key that a frame's web storage is saved under.
+ * @param {string} frameOrigin - Origin of the frame
+ * @param {string} topLevelUrl - URL of the tab the frame is embedded in
+ * @returns {string}
+ */
+function getStorageKey(frameOrigin, topLevelUrl) {
+    const topLevelSite = getTopLevelSite(topLevelUrl);
+    if (!topLevelSite || getTopLevelSite(frameOrigin) === topLevelSite) {
+        return frameOrigin;
+    }
+    return frameOrigin + PARTITION_SEPARATOR + topLevelSite;
+}
+
+/**
+ * Split a storage key into the frame origin and, for partitioned storage, the top-level site.
+ * @param {string} key
+ * @returns {{origin: string, topLevelSite: string|null}}
+ */
+function parseStorageKey(key) {
+    const index = key.indexOf(PARTITION_SEPARATOR);
+    if (index === -1) {
+        return { origin: key, topLevelSite: null };
+    }
+    return { origin: key.slice(0, index), topLevelSite: key.slice(index + 1) };
+}
+
+/**
+ * Format a storage key for display.
+ * @param {string} key
+ * @returns {string} e.g. "https://widget.com (in https://example.com)"
+ */
+function formatStorageKey(key) {
+    const { origin, topLevelSite } = parseStorageKey(key);
+    return topLevelSite ? `${origin} (in ${topLevelSite})` : origin;
+}
+
+/**
+ * Check if web storage under a key may be saved/restored under the site filter
+ * settings. Partitioned storage also needs its top-level site to be allowed.
+ * @param {string} key
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function isStorageKeyAllowed(key, settings) {
+    const { origin, topLevelSite } = parseStorageKey(key);
+    return isOriginAllowed(origin, settings) && (!topLevelSite || isOriginAllowed(topLevelSite, settings));
+}
+
+/**
+ * Get a content script match pattern for all pages of an origin's host.
+ * Match patterns can't hold ports, so every port of the host matches.
+ * @param {string} origin
+ * @returns {string|null} e.g. "https://example.com/*"
+ */
+function getOriginMatchPattern(origin) {
+    try {
+        const { protocol, hostname } = new URL(origin);
+        return protocol === 'http:' || protocol === 'https:' ? `${protocol}//${hostname}/*` : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * List the frames of a tab that web storage is collected from or restored into,
+ * one frame per storage key. Falls back to the top frame when the tab can't be scripted.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<Array<{frameId: number, origin: string, key: string}>>}
+ */
+async function getTabStorageFrames(tab) {
+    let frames = [{ frameId: 0, url: tab.url }];
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            func: () => location.href
+        });
+        frames = results
+            .map(result => ({ frameId: result.frameId, url: result.result }))
+            .sort((a, b) => a.frameId - b.frameId);
+    } catch (e) {
+        // Restricted page, only the top frame's content script can be reached
+    }
+
+    const storageFrames = [];
+    const keys = new Set();
+    for (const frame of frames) {
+        const origin = getOriginFromUrl(frame.url);
+        // about:blank, srcdoc and sandboxed frames have no origin of their own
+        if (!origin || origin === 'null') continue;
+
+        const key = frame.frameId === 0 ? origin : getStorageKey(origin, tab.url);
+        if (!keys.has(key)) {
+            keys.add(key);
+            storageFrames.push({ frameId: frame.frameId, origin: origin, key: key });
         }
+    }
+    return storageFrames;
+}
+
+// ============ Compression ============
+// Saved values of COMPRESSION_MIN_BYTES or more are gzipped before they are
+// stored, mostly IndexedDB records and Cache API bodies that compress well.
+// Plain values are stored as {compressed: true, format: 'gzip', data: base64},
+// encrypted ones are compressed before encryption and flagged in their envelope.
+// Values saved uncompressed (small ones, or by older versions) are read as they
+// are. Like the encrypted flag, the boolean marker can't come from site data:
+// web storage values are strings, other saved values are arrays or hold objects.
+
+const COMPRESSION_FORMAT = 'gzip';
+const COMPRESSION_MIN_BYTES = 1024;
+
+/**
+ * Compress bytes with a CompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {string} [format] - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressBytes(bytes, format = COMPRESSION_FORMAT) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompress bytes with a DecompressionStream.
+ * Rejects if the bytes aren't valid in the format.
+ * @param {Uint8Array} bytes
+ * @param {string} [format] - 'gzip' or 'deflate'
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompressBytes(bytes, format = COMPRESSION_FORMAT) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Check for the gzip magic number, e.g. of a backup file whatever its name.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isGzipData(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Serialize a value as JSON bytes, compressed if it is large enough.
+ * @param {*} value
+ * @param {boolean} compress
+ * @returns {Promise<{bytes: Uint8Array, compressed: string|null, size: number}>}
+ *   The bytes to store, their compression format (null if none) and the JSON size
+ */
+async function serializeJSON(value, compress) {
+    const json = new TextEncoder().encode(JSON.stringify(value));
+    if (!compress || json.length < COMPRESSION_MIN_BYTES) {
+        return { bytes: json, compressed: null, size: json.length };
+    }
+    return { bytes: await compressBytes(json), compressed: COMPRESSION_FORMAT, size: json.length };
+}
+
+/**
+ * Parse bytes written by serializeJSON.
+ * @param {Uint8Array} bytes
+ * @param {string|null} compressed - Compression format, null if none
+ * @returns {Promise<*>}
+ */
+async function parseJSONBytes(bytes, compressed) {
+    if (compressed) {
+        bytes = await decompressBytes(bytes, compressed);
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Compress a value for storage, unless that doesn't make it smaller.
+ * @param {*} value
+ * @returns {Promise<*>} {compressed: true, format, data} or the value itself
+ */
+async function compressJSON(value) {
+    const { bytes, compressed, size } = await serializeJSON(value, true);
+    // Base64 adds a third, values that barely compress are kept as JSON
+    if (!compressed || Math.ceil(bytes.length / 3) * 4 >= size) return value;
+    return { compressed: true, format: compressed, data: bytesToBase64(bytes) };
+}
+
+function isCompressedValue(value) {
+    return !!value && value.compressed === true && (value.format === 'gzip' || value.format === 'deflate') &&
+        typeof value.data === 'string';
+}
+
+// ============ Encryption ============
+// Saved data can be encrypted at rest with a key derived from a passphrase.
+// The derived key is only kept in chrome.storage.session (memory only, cleared
+// when the browser closes), so the data has to be unlocked from the popup first.
+
+const ENCRYPTION_KDF_ITERATIONS = 600000;
+// Accepted iteration counts of backup files, so a crafted file can't make the
+// key derivation take forever (or next to no time)
+const BACKUP_KDF_MIN_ITERATIONS = 100000;
+const BACKUP_KDF_MAX_ITERATIONS = 10 * ENCRYPTION_KDF_ITERATIONS;
+const ENCRYPTION_CHECK_VALUE = 'save-private-window-data';
+const LOCKED_ERROR_MESSAGE = 'Saved data is locked. Unlock it from the extension popup first.';
+
+/**
+ * Encode bytes as Base64 (chunked to avoid call stack limits on large buffers).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    const chunkSize = 65536;
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Decode a Base64 string to bytes.
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA-256.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveEncryptionKey(passphrase, salt, iterations = ENCRYPTION_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a JSON-serializable value with AES-GCM.
+ * @param {CryptoKey} key
+ * @param {*} value
+ * @param {boolean} [compress] - Compress large values before encrypting them
+ * @returns {Promise<{encrypted: true, iv: string, data: string, compressed?: string}>}
+ */
+async function encryptJSON(key, value, compress = false) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { bytes: plaintext, compressed } = await serializeJSON(value, compress);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plaintext);
+
+    const envelope = {
+        encrypted: true,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+    if (compressed) {
+        envelope.compressed = compressed;
+    }
+    return envelope;
+}
+
+/**
+ * Decrypt a value produced by encryptJSON.
+ * Rejects if the key is wrong or the data was modified.
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string, compressed?: string}} envelope
+ * @returns {Promise<*>}
+ */
+async function decryptJSON(key, envelope) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+        key,
+        base64ToBytes(envelope.data)
+    );
+
+    return parseJSONBytes(new Uint8Array(plaintext), envelope.compressed || null);
+}
+
+function isEncryptedValue(value) {
+    return !!value && value.encrypted === true && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Get the unlocked encryption key from session memory.
+ * @returns {Promise<CryptoKey|null>} null if locked
+ */
+async function getEncryptionKey() {
+    const { encryption_key } = await chrome.storage.session.get('encryption_key');
+    if (!encryption_key) return null;
+
+    return crypto.subtle.importKey('jwk', encryption_key, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+async function setEncryptionKey(key) {
+    const jwk = await crypto.subtle.exportKey('jwk', key);
+    await chrome.storage.session.set({ encryption_key: jwk });
+}
+
+/**
+ * Check if encryption is enabled but the key has not been unlocked yet.
+ * @returns {Promise<boolean>}
+ */
+async function isSavedDataLocked() {
+    const { encryption_enabled } = await chrome.storage.local.get({ encryption_enabled: false });
+    return encryption_enabled && !(await getEncryptionKey());
+}
+
+/**
+ * Unlock encrypted saved data for this browser session.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} false if the passphrase is wrong
+ */
+async function unlockSavedData(passphrase) {
+    const meta = await chrome.storage.local.get(['encryption_salt', 'encryption_iterations', 'encryption_check']);
+    if (!meta.encryption_salt || !meta.encryption_check) return false;
+
+    const key = await deriveEncryptionKey(passphrase, base64ToBytes(meta.encryption_salt), meta.encryption_iterations);
+
+    try {
+        if (await decryptJSON(key, meta.encryption_check) !== ENCRYPTION_CHECK_VALUE) return false;
+    } catch {
+        return false; // Wrong passphrase
+    }
+
+    await setEncryptionKey(key);
+    return true;
+}
+
+/**
+ * Forget the session key. Encrypted data stays on disk.
+ * @returns {Promise<void>}
+ */
+async function lockSavedData() {
+    await chrome.storage.session.remove('encryption_key');
+}
+
+/**
+ * Turn on encryption and re-write the saved data of all profiles encrypted.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+async function enableEncryption(passphrase) {
+    const profiles = await getProfiles();
+    const data = {};
+    for (const profile of profiles) {
+        data[profile] = await getSavedData(SAVED_DATA_KEYS, profile);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEncryptionKey(passphrase, salt);
+
+    await setEncryptionKey(key);
+    await chrome.storage.local.set({
+        encryption_enabled: true,
+        encryption_salt: bytesToBase64(salt),
+        encryption_iterations: ENCRYPTION_KDF_ITERATIONS,
+        encryption_check: await encryptJSON(key, ENCRYPTION_CHECK_VALUE)
     });
 
-    // Parallel restoration with error handling
-    await Promise.allSettled(cookiePromises);
+    for (const profile of profiles) {
+        await setSavedData(data[profile], profile);
+    }
+    await reencodeSnapshots();
 }
 
 /**
- * Clear all private cookies.
- * Uses parallel operations for better performance.
+ * Turn off encryption and re-write the saved data of all profiles as plain JSON.
+ * Requires the data to be unlocked.
  * @returns {Promise<void>}
  */
-async function clear_private_cookies() {
-    if (isFirefox) {
-        await chrome.browsingData.removeCookies({ cookieStoreId: cookie_store });
-    } else {
-        const cookies = await chrome.cookies.getAll({ storeId: cookie_store });
+async function disableEncryption() {
+    const profiles = await getProfiles();
+    const data = {};
+    for (const profile of profiles) {
+        data[profile] = await getSavedData(SAVED_DATA_KEYS, profile);
+    }
 
-        // Parallel deletion
-        await Promise.allSettled(cookies.map(cookie =>
-            chrome.cookies.remove({
-                storeId: cookie_store,
-                url: (cookie.secure ? 'https://' : 'http://') +
-                    (cookie.domain.charAt(0) === '.' ? cookie.domain.substr(1) : cookie.domain) +
-                    cookie.path,
+    await chrome.storage.local.set({ encryption_enabled: false });
+    await chrome.storage.local.remove(['encryption_salt', 'encryption_iterations', 'encryption_check']);
+
+    for (const profile of profiles) {
+        await setSavedData(data[profile], profile);
+    }
+    await reencodeSnapshots();
+    await lockSavedData();
+}
+
+// ============ Backup Schema ============
+// Backup files (and snapshots) are versioned documents:
+// {
+//   "format": "save-private-window-data", "version": 3,
+//   "metadata": { "created": ISO date, "profile": ..., "browser": { "name", "version" }, "extensionVersion": ... },
+//   "settings": { ...the settings in BACKUP_SETTINGS },
+//   "cookies": [...], "webStorage": { storage key: { localStorage, sessionStorage, indexedDB, cacheStorage, opfs } }
+// }
+// Older documents are upgraded one version at a time by BACKUP_MIGRATIONS, then
+// checked by validateBackup before anything is imported. Stored snapshots are read
+// through the same chain. The live saved data isn't a document: it is spread over
+// many keys (see Storage Layout), and its only upgrade, the split of the single
+// 'webStorage' key (migrateLegacyWebStorage), changes where the data is stored,
+// not its shape, so it has no version of its own.
+
+const BACKUP_FORMAT = 'save-private-window-data';
+const BACKUP_VERSION = 3;
+
+// Settings carried in backups, with the values the popup allows:
+//   null: any value of the default's type
+//   an array: one of these values
+//   { min, max }: a whole number in this range
+//   { item }: a list whose items pass the check
+//   { entry }: an object whose keys and values pass the check
+// Checks return an error message, or null if the value is fine.
+const BACKUP_SETTINGS = {
+    save_localStorage: null,
+    save_sessionStorage: null,
+    session_storage_restore: ['first', 'all'],
+    save_indexedDB: null,
+    save_cacheAPI: null,
+    cache_size_limit_mb: { min: 1, max: 500 },
+    save_opfs: null,
+    opfs_size_limit_mb: { min: 1, max: 500 },
+    site_filter_mode: ['off', 'allowlist', 'denylist'],
+    site_filter_rules: { item: rule => typeof rule === 'string' && parseSiteRule(rule) ? null : 'expected a site rule' },
+    session_cookie_policy: ['session', 'persistent', 'skip'],
+    session_cookie_lifetime_days: { min: 1, max: 400 }, // Browsers cap cookie lifetimes at 400 days
+    session_cookie_overrides: {
+        entry: (rule, policy) => !parseSiteRule(rule) ? 'expected a site rule as the key'
+            : SESSION_COOKIE_POLICIES.includes(policy) ? null : `expected one of ${SESSION_COOKIE_POLICIES.join(', ')}`
+    },
+    storage_budget_mb: { min: 0, max: 1000 },
+    storage_eviction: ['lru', 'off'],
+    pinned_origins: { item: key => typeof key === 'string' && isValidStorageKey(key) ? null : 'expected an origin or a partitioned storage key' }
+};
+
+const BACKUP_STORAGE_TYPES = ['localStorage', 'sessionStorage', 'indexedDB', 'cacheStorage', 'opfs'];
+const COOKIE_SAME_SITE_VALUES = ['no_restriction', 'lax', 'strict', 'unspecified'];
+
+// Upgrades from a version to the next one
+const BACKUP_MIGRATIONS = {
+    // v1: an array of cookies
+    1: data => ({ version: 2, timestamp: null, cookies: data, webStorage: {} }),
+    // v2: cookies and web storage, with the creation time and (later) the profile
+    2: data => ({
+        format: BACKUP_FORMAT,
+        version: 3,
+        metadata: {
+            created: typeof data.timestamp === 'string' ? data.timestamp : null,
+            profile: typeof data.profile === 'string' ? data.profile : null,
+            browser: null,
+            extensionVersion: null
+        },
+        settings: {},
+        cookies: data.cookies === undefined ? [] : data.cookies,
+        webStorage: data.webStorage === undefined ? {} : data.webStorage
+    })
+};
+
+/**
+ * Get the browser the extension runs in, recorded in backups.
+ * @returns {{name: string, version: string}}
+ */
+function getBrowserInfo() {
+    for (const [name, token] of [['Firefox', 'Firefox'], ['Edge', 'Edg'], ['Chrome', 'Chrome']]) {
+        const match = navigator.userAgent.match(new RegExp(`${token}/([\\d.]+)`));
+        if (match) return { name: name, version: match[1] };
+    }
+    return { name: 'Unknown', version: '' };
+}
+
+/**
+ * Build a current-version backup document.
+ * @param {{cookies: Array, webStorage: Object}} data
+ * @param {string} profile - The profile the data was saved in
+ * @param {Object} settings - Current settings, the BACKUP_SETTINGS are included
+ * @returns {Object}
+ */
+function createBackup(data, profile, settings) {
+    const backupSettings = {};
+    for (const name of Object.keys(BACKUP_SETTINGS)) {
+        if (settings[name] !== undefined) backupSettings[name] = settings[name];
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        metadata: {
+            created: new Date().toISOString(),
+            profile: profile,
+            browser: getBrowserInfo(),
+            extensionVersion: chrome.runtime.getManifest().version
+        },
+        settings: backupSettings,
+        cookies: data.cookies || [],
+        webStorage: data.webStorage || {}
+    };
+}
+
+/**
+ * Get the schema version of a backup document.
+ * Throws if it isn't a backup at all.
+ * @param {*} data
+ * @returns {number}
+ */
+function getBackupVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (!data || typeof data !== 'object') {
+        throw new Error('Unrecognized backup file format');
+    }
+    if (Number.isInteger(data.version)) return data.version;
+    // Written before backups had a version
+    if (data.cookies !== undefined || data.webStorage !== undefined) return 2;
+    throw new Error('Unrecognized backup file format');
+}
+
+/**
+ * Upgrade a backup document of any supported version to the current one.
+ * The result still has to be checked with validateBackup.
+ * @param {*} data
+ * @returns {Object}
+ */
+function migrateBackup(data) {
+    let version = getBackupVersion(data);
+    if (version > BACKUP_VERSION) {
+        throw new Error(`This backup was made by a newer version of the extension (backup version ${version})`);
+    }
+    if (version < 1) {
+        throw new Error(`Unsupported backup version: ${version}`);
+    }
+
+    while (version < BACKUP_VERSION) {
+        data = BACKUP_MIGRATIONS[version](data);
+        version++;
+    }
+    return data;
+}
+
+function describeJSONType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'a non-finite number';
+    return { object: 'an object', string: 'a string', number: 'a number', boolean: 'a boolean' }[typeof value] || typeof value;
+}
+
+function isValidOrigin(origin) {
+    try {
+        return new URL(origin).origin === origin;
+    } catch {
+        return false;
+    }
+}
+
+// An origin, or a frame origin and the top-level site it is partitioned by
+function isValidStorageKey(key) {
+    const { origin, topLevelSite } = parseStorageKey(key);
+    return isValidOrigin(origin) && (topLevelSite === null || isValidOrigin(topLevelSite));
+}
+
+/**
+ * Check a current-version backup document field by field.
+ * @param {Object} backup - From migrateBackup
+ * @returns {string[]} Errors like 'cookies[2].domain: expected a string, got a number', empty if valid
+ */
+function validateBackup(backup) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+    // Check the type of a field, types are describeJSONType() names
+    const expect = (value, path, ...types) => {
+        const actual = describeJSONType(value);
+        if (types.includes(actual)) return true;
+        fail(path, `expected ${types.join(' or ')}, got ${value === undefined ? 'nothing' : actual}`);
+        return false;
+    };
+    const optional = (object, name, path, ...types) => {
+        return object[name] === undefined || expect(object[name], `${path}.${name}`, ...types);
+    };
+
+    if (!expect(backup, 'backup', 'an object')) return errors;
+    if (backup.format !== BACKUP_FORMAT) fail('format', `expected "${BACKUP_FORMAT}"`);
+    if (backup.version !== BACKUP_VERSION) fail('version', `expected ${BACKUP_VERSION}`);
+
+    if (expect(backup.metadata, 'metadata', 'an object')) {
+        const { metadata } = backup;
+        if (expect(metadata.created, 'metadata.created', 'a string', 'null') &&
+            metadata.created !== null && isNaN(Date.parse(metadata.created))) {
+            fail('metadata.created', 'not a valid date');
+        }
+        expect(metadata.profile, 'metadata.profile', 'a string', 'null');
+        if (expect(metadata.browser, 'metadata.browser', 'an object', 'null') && metadata.browser) {
+            expect(metadata.browser.name, 'metadata.browser.name', 'a string');
+            expect(metadata.browser.version, 'metadata.browser.version', 'a string');
+        }
+        expect(metadata.extensionVersion, 'metadata.extensionVersion', 'a string', 'null');
+    }
+
+    if (expect(backup.settings, 'settings', 'an object')) {
+        for (const [name, value] of Object.entries(backup.settings)) {
+            const path = `settings.${name}`;
+            const allowed = BACKUP_SETTINGS[name];
+            if (!(name in BACKUP_SETTINGS)) {
+                fail(path, 'unknown setting');
+                continue;
+            }
+            if (!expect(value, path, describeJSONType(defaultSettings[name])) || !allowed) continue;
+
+            if (Array.isArray(allowed)) {
+                if (!allowed.includes(value)) fail(path, `expected one of ${allowed.join(', ')}`);
+            } else if (allowed.item) {
+                value.forEach((item, i) => {
+                    const error = allowed.item(item);
+                    if (error) fail(`${path}[${i}]`, error);
+                });
+            } else if (allowed.entry) {
+                for (const [key, entry] of Object.entries(value)) {
+                    const error = allowed.entry(key, entry);
+                    if (error) fail(`${path}[${JSON.stringify(key)}]`, error);
+                }
+            } else if (!Number.isInteger(value) || value < allowed.min || value > allowed.max) {
+                fail(path, `expected a whole number from ${allowed.min} to ${allowed.max}`);
+            }
+        }
+    }
+
+    if (expect(backup.cookies, 'cookies', 'an array')) {
+        backup.cookies.forEach((cookie, i) => {
+            const path = `cookies[${i}]`;
+            if (!expect(cookie, path, 'an object')) return;
+
+            expect(cookie.name, `${path}.name`, 'a string');
+            expect(cookie.value, `${path}.value`, 'a string');
+            if (expect(cookie.domain, `${path}.domain`, 'a string') && !cookie.domain.replace(/^\./, '')) {
+                fail(`${path}.domain`, 'is empty');
+            }
+            if (optional(cookie, 'path', path, 'a string') && cookie.path !== undefined && !cookie.path.startsWith('/')) {
+                fail(`${path}.path`, 'must start with /');
+            }
+            for (const flag of ['secure', 'httpOnly', 'hostOnly', 'session']) {
+                optional(cookie, flag, path, 'a boolean');
+            }
+            optional(cookie, 'expirationDate', path, 'a number');
+            if (optional(cookie, 'sameSite', path, 'a string') && cookie.sameSite !== undefined &&
+                !COOKIE_SAME_SITE_VALUES.includes(cookie.sameSite)) {
+                fail(`${path}.sameSite`, `expected one of ${COOKIE_SAME_SITE_VALUES.join(', ')}`);
+            }
+            optional(cookie, 'storeId', path, 'a string');
+            optional(cookie, 'firstPartyDomain', path, 'a string');
+            optional(cookie, 'partitionKey', path, 'an object', 'null');
+        });
+    }
+
+    if (expect(backup.webStorage, 'webStorage', 'an object')) {
+        for (const [key, data] of Object.entries(backup.webStorage)) {
+            const path = `webStorage[${JSON.stringify(key)}]`;
+            if (!isValidStorageKey(key)) {
+                fail(path, 'not an origin or a partitioned storage key');
+            }
+            if (!expect(data, path, 'an object')) continue;
+
+            for (const [type, value] of Object.entries(data)) {
+                if (!BACKUP_STORAGE_TYPES.includes(type)) {
+                    fail(`${path}.${type}`, 'unknown storage type');
+                } else {
+                    validateBackupStorage(type, value, `${path}.${type}`, expect, optional);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Checks one storage type of an origin for validateBackup
+function validateBackupStorage(type, value, path, expect, optional) {
+    switch (type) {
+        case 'localStorage':
+        case 'sessionStorage':
+            if (!expect(value, path, 'an object')) return;
+            for (const [key, item] of Object.entries(value)) {
+                expect(item, `${path}[${JSON.stringify(key)}]`, 'a string');
+            }
+            return;
+
+        case 'indexedDB':
+            if (!expect(value, path, 'an array')) return;
+            value.forEach((database, i) => {
+                const dbPath = `${path}[${i}]`;
+                if (!expect(database, dbPath, 'an object')) return;
+                expect(database.name, `${dbPath}.name`, 'a string');
+                optional(database, 'version', dbPath, 'a number');
+                if (!expect(database.objectStores, `${dbPath}.objectStores`, 'an array')) return;
+
+                database.objectStores.forEach((store, j) => {
+                    const storePath = `${dbPath}.objectStores[${j}]`;
+                    if (!expect(store, storePath, 'an object')) return;
+                    expect(store.name, `${storePath}.name`, 'a string');
+                    optional(store, 'keyPath', storePath, 'a string', 'an array', 'null');
+                    optional(store, 'autoIncrement', storePath, 'a boolean');
+                    optional(store, 'encoding', storePath, 'a string');
+                    optional(store, 'indexes', storePath, 'an array');
+                    if (expect(store.data, `${storePath}.data`, 'an array')) {
+                        store.data.forEach((record, k) => {
+                            expect(record, `${storePath}.data[${k}]`, 'an object');
+                        });
+                    }
+                });
+            });
+            return;
+
+        case 'cacheStorage':
+            if (!expect(value, path, 'an array')) return;
+            value.forEach((cache, i) => {
+                const cachePath = `${path}[${i}]`;
+                if (!expect(cache, cachePath, 'an object')) return;
+                expect(cache.name, `${cachePath}.name`, 'a string');
+                if (!expect(cache.entries, `${cachePath}.entries`, 'an array')) return;
+
+                cache.entries.forEach((entry, j) => {
+                    const entryPath = `${cachePath}.entries[${j}]`;
+                    if (!expect(entry, entryPath, 'an object')) return;
+                    expect(entry.url, `${entryPath}.url`, 'a string');
+                    if (!expect(entry.response, `${entryPath}.response`, 'an object')) return;
+                    expect(entry.response.status, `${entryPath}.response.status`, 'a number');
+                    optional(entry.response, 'headers', `${entryPath}.response`, 'an object');
+                    optional(entry.response, 'body', `${entryPath}.response`, 'a string', 'null');
+                    optional(entry.response, 'bodyEncoding', `${entryPath}.response`, 'a string');
+                });
+            });
+            return;
+
+        case 'opfs':
+            if (!expect(value, path, 'an object')) return;
+            if (expect(value.directories, `${path}.directories`, 'an array')) {
+                value.directories.forEach((directory, i) => expect(directory, `${path}.directories[${i}]`, 'a string'));
+            }
+            if (expect(value.files, `${path}.files`, 'an array')) {
+                value.files.forEach((file, i) => {
+                    const filePath = `${path}.files[${i}]`;
+                    if (!expect(file, filePath, 'an object')) return;
+                    expect(file.path, `${filePath}.path`, 'a string');
+                    expect(file.data, `${filePath}.data`, 'a string');
+                    optional(file, 'size', filePath, 'a number');
+                    optional(file, 'lastModified', filePath, 'a number');
+                });
+            }
+            expect(value.size, `${path}.size`, 'a number');
+            return;
+    }
+}
+
+// ============ Encrypted Backups ============
+// Password-protected backup files use a versioned envelope:
+// {
+//   "format": "save-private-window-data-encrypted", "version": 2,
+//   "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": ..., "salt": base64 },
+//   "cipher": { "name": "AES-GCM", "iv": base64 },
+//   "compression": "gzip", (optional, the backup JSON is compressed before encryption)
+//   "verifier": base64, "ciphertext": base64
+// }
+// PBKDF2 derives 512 bits: the first half is the AES key, the SHA-256 of the second
+// half is stored as "verifier" so a wrong password can be told apart from a modified
+// file. The envelope header is authenticated as AES-GCM additional data.
+// Version 1 is the same without "compression".
+
+const ENCRYPTED_BACKUP_FORMAT = 'save-private-window-data-encrypted';
+const ENCRYPTED_BACKUP_VERSION = 2;
+
+function isEncryptedBackup(data) {
+    return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+async function deriveBackupKeys(password, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+        material,
+        512
+    ));
+
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    const verifier = new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+    return { key, verifier: bytesToBase64(verifier) };
+}
+
+function getBackupAdditionalData(envelope) {
+    const { kdf, cipher } = envelope;
+    const fields = [
+        envelope.format, envelope.version,
+        kdf.name, kdf.hash, kdf.iterations, kdf.salt,
+        cipher.name, cipher.iv
+    ];
+    if (envelope.version >= 2) {
+        fields.push(envelope.compression || '');
+    }
+    return new TextEncoder().encode(fields.join('|'));
+}
+
+/**
+ * Encrypt backup data into a password-protected envelope.
+ * @param {Object} data - Backup data (as written to an unencrypted backup file)
+ * @param {string} password
+ * @param {boolean} [compress] - Compress the data before encrypting it
+ * @returns {Promise<Object>}
+ */
+async function createEncryptedBackup(data, password, compress = false) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { key, verifier } = await deriveBackupKeys(password, salt, ENCRYPTION_KDF_ITERATIONS);
+
+    const envelope = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTED_BACKUP_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        verifier: verifier
+    };
+
+    const { bytes: plaintext, compressed } = await serializeJSON(data, compress);
+    if (compressed) {
+        envelope.compression = compressed;
+    }
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: getBackupAdditionalData(envelope) },
+        key,
+        plaintext
+    );
+
+    envelope.ciphertext = bytesToBase64(new Uint8Array(ciphertext));
+    return envelope;
+}
+
+/**
+ * Decrypt a password-protected backup envelope.
+ * Throws 'Wrong password' or a tampering error with a readable message.
+ * @param {Object} envelope
+ * @param {string} password
+ * @returns {Promise<Object>} The backup data
+ */
+async function decryptBackup(envelope, password) {
+    if (envelope.version !== 1 && envelope.version !== ENCRYPTED_BACKUP_VERSION) {
+        throw new Error(`Unsupported encrypted backup version: ${envelope.version}`);
+    }
+
+    const { kdf, cipher } = envelope;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) ||
+        kdf.iterations < BACKUP_KDF_MIN_ITERATIONS || kdf.iterations > BACKUP_KDF_MAX_ITERATIONS ||
+        typeof kdf.salt !== 'string' || !cipher || cipher.name !== 'AES-GCM' || typeof cipher.iv !== 'string' ||
+        typeof envelope.verifier !== 'string' || typeof envelope.ciphertext !== 'string' ||
+        (envelope.compression !== undefined && envelope.compression !== 'gzip' && envelope.compression !== 'deflate')) {
+        throw new Error('The encrypted backup is damaged (invalid header)');
+    }
+
+    let salt, iv, ciphertext;
+    try {
+        salt = base64ToBytes(kdf.salt);
+        iv = base64ToBytes(cipher.iv);
+        ciphertext = base64ToBytes(envelope.ciphertext);
+    } catch {
+        throw new Error('The encrypted backup is damaged (invalid encoding)');
+    }
+
+    const { key, verifier } = await deriveBackupKeys(password, salt, kdf.iterations);
+    if (verifier !== envelope.verifier) {
+        throw new Error('Wrong password');
+    }
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: getBackupAdditionalData(envelope) },
+            key,
+            ciphertext
+        );
+    } catch {
+        throw new Error('The encrypted backup has been modified or is corrupted');
+    }
+
+    return parseJSONBytes(new Uint8Array(plaintext), (envelope.version >= 2 && envelope.compression) || null);
+}
+
+// ============ Other Tools' Formats ============
+// Saved data can be exported for and imported from other tools. The Netscape
+// cookies.txt format (curl, wget, yt-dlp, Python's http.cookiejar) has one cookie
+// per line with 7 tab-separated fields:
+//   domain, include subdomains (TRUE/FALSE), path, secure (TRUE/FALSE),
+//   expiry (Unix seconds, 0 for session cookies), name, value
+// HttpOnly cookies have their domain prefixed with '#HttpOnly_'.
+
+const NETSCAPE_COOKIE_HEADER = '# Netscape HTTP Cookie File';
+const NETSCAPE_HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Parse a domain filter for cookie exports, e.g. "example.com, *.example.org".
+ * Domains match their subdomains too, 'site:' rules work like in the site filter.
+ * Throws on an invalid domain.
+ * @param {string} text
+ * @returns {Array<{type: string, host: string}>} Empty to export all cookies
+ */
+function parseCookieDomainFilter(text) {
+    return String(text || '').split(/[\s,]+/).filter(Boolean).map((entry) => {
+        const rule = parseSiteRule(entry);
+        if (!rule) throw new Error(`Invalid domain: ${entry}`);
+        return rule.type === 'exact' ? { type: 'subdomain', host: rule.host } : rule;
+    });
+}
+
+/**
+ * Keep the cookies of some domains only.
+ * @param {Array} cookies
+ * @param {Array} rules - From parseCookieDomainFilter, empty keeps all cookies
+ * @returns {Array}
+ */
+function filterCookiesByDomain(cookies, rules) {
+    if (rules.length === 0) return cookies;
+    return cookies.filter((cookie) => {
+        const host = (cookie.domain || '').replace(/^\./, '');
+        return rules.some(rule => hostMatchesSiteRule(host, rule));
+    });
+}
+
+/**
+ * Write cookies in the Netscape cookies.txt format.
+ * Cookies with a tab or line break in their name or value can't be written and are left out.
+ * @param {Array} cookies - Saved cookies
+ * @param {string} [comment] - Added to the header, e.g. where the cookies come from
+ * @returns {{text: string, count: number, skipped: number}}
+ */
+function cookiesToNetscape(cookies, comment = '') {
+    const lines = [NETSCAPE_COOKIE_HEADER];
+    if (comment) lines.push(`# ${comment}`);
+    lines.push('');
+
+    let count = 0;
+    for (const cookie of cookies) {
+        if (/[\t\r\n]/.test(cookie.name + cookie.value)) continue;
+
+        // Host-only cookies are written without the leading dot and don't include subdomains
+        const host = cookie.domain.replace(/^\./, '');
+        const domain = cookie.hostOnly ? host : '.' + host;
+        const expiry = cookie.session || !cookie.expirationDate ? 0 : Math.floor(cookie.expirationDate);
+
+        lines.push([
+            (cookie.httpOnly ? NETSCAPE_HTTP_ONLY_PREFIX : '') + domain,
+            cookie.hostOnly ? 'FALSE' : 'TRUE',
+            cookie.path || '/',
+            cookie.secure ? 'TRUE' : 'FALSE',
+            expiry,
+            cookie.name,
+            cookie.value
+        ].join('\t'));
+        count++;
+    }
+
+    return { text: lines.join('\n') + '\n', count: count, skipped: cookies.length - count };
+}
+
+/**
+ * Parse a Netscape cookies.txt file into saved cookies (the shape chrome.cookies.getAll returns).
+ * Lines that aren't valid cookies are reported instead of failing the whole file.
+ * @param {string} text
+ * @returns {{cookies: Array, skipped: Array<{line: number, reason: string}>}}
+ */
+function parseNetscapeCookies(text) {
+    const cookies = [];
+    const skipped = [];
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        let line = raw;
+        let httpOnly = false;
+
+        if (line.startsWith(NETSCAPE_HTTP_ONLY_PREFIX)) {
+            httpOnly = true;
+            line = line.slice(NETSCAPE_HTTP_ONLY_PREFIX.length);
+        } else if (!line.trim() || line.startsWith('#')) {
+            return;
+        }
+
+        const skip = reason => skipped.push({ line: i + 1, reason: reason });
+        const fields = line.split('\t');
+        if (fields.length === 6) fields.push(''); // Empty value
+        if (fields.length !== 7) return skip(`expected 7 tab-separated fields, found ${fields.length}`);
+
+        const [domain, subdomains, path, secure, expiry, name, value] = fields;
+        const host = domain.replace(/^\./, '').toLowerCase();
+        if (!host) return skip('empty domain');
+        if (!/^(TRUE|FALSE)$/i.test(subdomains)) return skip(`invalid include-subdomains flag "${subdomains}"`);
+        if (!path.startsWith('/')) return skip(`invalid path "${path}"`);
+        if (!/^(TRUE|FALSE)$/i.test(secure)) return skip(`invalid secure flag "${secure}"`);
+        if (!/^-?\d+(\.\d+)?$/.test(expiry)) return skip(`invalid expiry "${expiry}"`);
+        if (!name) return skip('empty cookie name');
+
+        const hostOnly = subdomains.toUpperCase() === 'FALSE';
+        const expirationDate = Number(expiry);
+        const cookie = {
+            name: name,
+            value: value,
+            domain: hostOnly ? host : '.' + host,
+            hostOnly: hostOnly,
+            path: path,
+            secure: secure.toUpperCase() === 'TRUE',
+            httpOnly: httpOnly,
+            sameSite: 'unspecified',
+            session: expirationDate <= 0,
+            storeId: cookie_store
+        };
+        if (expirationDate > 0) {
+            cookie.expirationDate = expirationDate;
+        }
+        cookies.push(cookie);
+    });
+
+    return { cookies, skipped };
+}
+
+// Playwright's storageState (also loaded into Puppeteer by test setups) holds
+// cookies and the localStorage of each origin:
+//   { "cookies": [{ name, value, domain, path, expires, httpOnly, secure, sameSite }],
+//     "origins": [{ "origin": ..., "localStorage": [{ name, value }] }] }
+// Domain cookies have a leading dot in "domain", "expires" is -1 for session
+// cookies and "sameSite" is 'Strict', 'Lax' or 'None'.
+
+const STORAGE_STATE_SAME_SITE = { no_restriction: 'None', lax: 'Lax', strict: 'Strict' };
+const SAVED_SAME_SITE = { None: 'no_restriction', Lax: 'lax', Strict: 'strict' };
+
+/**
+ * Keep the web storage of some domains only.
+ * @param {Object} webStorage - Storage key -> data
+ * @param {Array} rules - From parseCookieDomainFilter, empty keeps all origins
+ * @returns {Object}
+ */
+function filterWebStorageByDomain(webStorage, rules) {
+    if (rules.length === 0) return webStorage;
+
+    const filtered = {};
+    for (const [key, data] of Object.entries(webStorage)) {
+        try {
+            const host = new URL(parseStorageKey(key).origin).hostname;
+            if (rules.some(rule => hostMatchesSiteRule(host, rule))) filtered[key] = data;
+        } catch {
+            // Not an origin with a host
+        }
+    }
+    return filtered;
+}
+
+/**
+ * Convert saved data to a storageState.
+ * Only cookies and localStorage have a place in it. Partitioned storage of
+ * embedded frames can't be represented and is left out.
+ * @param {{cookies: Array, webStorage: Object}} data
+ * @returns {{state: {cookies: Array, origins: Array}, skipped: number}} skipped: partitioned origins left out
+ */
+function toStorageState(data) {
+    const cookies = data.cookies.map((cookie) => {
+        const host = cookie.domain.replace(/^\./, '');
+        return {
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.hostOnly ? host : '.' + host,
+            path: cookie.path || '/',
+            expires: cookie.session || !cookie.expirationDate ? -1 : cookie.expirationDate,
+            httpOnly: !!cookie.httpOnly,
+            secure: !!cookie.secure,
+            // Without a SameSite attribute Chrome treats cookies as Lax
+            sameSite: STORAGE_STATE_SAME_SITE[cookie.sameSite] || 'Lax'
+        };
+    });
+
+    const origins = [];
+    let skipped = 0;
+    for (const [key, storage] of Object.entries(data.webStorage)) {
+        if (!storage.localStorage) continue;
+        if (parseStorageKey(key).topLevelSite) {
+            skipped++;
+            continue;
+        }
+        origins.push({
+            origin: key,
+            localStorage: Object.entries(storage.localStorage).map(([name, value]) => ({ name, value }))
+        });
+    }
+
+    return { state: { cookies, origins }, skipped };
+}
+
+function isStorageState(data) {
+    return !!data && !Array.isArray(data) && data.version === undefined &&
+        Array.isArray(data.cookies) && Array.isArray(data.origins);
+}
+
+/**
+ * Convert a storageState to a version 2 backup.
+ * Cookies and origins that can't be converted are reported instead of failing the whole file.
+ * @param {{cookies: Array, origins: Array}} state
+ * @returns {{data: Object, notes: string[]}} The backup, and what was left out
+ */
+function parseStorageState(state) {
+    const notes = [];
+    const cookies = [];
+    const webStorage = {};
+
+    state.cookies.forEach((cookie, i) => {
+        if (!cookie || typeof cookie.name !== 'string' || !cookie.name || typeof cookie.value !== 'string' ||
+            typeof cookie.domain !== 'string' || !cookie.domain.replace(/^\./, '')) {
+            notes.push(`cookies[${i}]: needs a name, a value and a domain`);
+            return;
+        }
+
+        const host = cookie.domain.replace(/^\./, '').toLowerCase();
+        const hostOnly = !cookie.domain.startsWith('.');
+        const expires = typeof cookie.expires === 'number' ? cookie.expires : -1;
+        const converted = {
+            name: cookie.name,
+            value: cookie.value,
+            domain: hostOnly ? host : '.' + host,
+            hostOnly: hostOnly,
+            path: typeof cookie.path === 'string' && cookie.path.startsWith('/') ? cookie.path : '/',
+            secure: !!cookie.secure,
+            httpOnly: !!cookie.httpOnly,
+            sameSite: SAVED_SAME_SITE[cookie.sameSite] || 'unspecified',
+            session: expires <= 0,
+            storeId: cookie_store
+        };
+        if (expires > 0) {
+            converted.expirationDate = expires;
+        }
+        cookies.push(converted);
+    });
+
+    state.origins.forEach((entry, i) => {
+        if (!entry || typeof entry.origin !== 'string' || !isValidOrigin(entry.origin)) {
+            notes.push(`origins[${i}]: not a valid origin`);
+            return;
+        }
+
+        const localStorage = {};
+        (Array.isArray(entry.localStorage) ? entry.localStorage : []).forEach((item, j) => {
+            if (item && typeof item.name === 'string' && typeof item.value === 'string') {
+                localStorage[item.name] = item.value;
+            } else {
+                notes.push(`origins[${i}].localStorage[${j}] (${entry.origin}): needs a name and a string value`);
+            }
+        });
+        if (entry.indexedDB !== undefined) {
+            notes.push(`origins[${i}].indexedDB (${entry.origin}): IndexedDB in storageState isn't supported`);
+        }
+
+        if (Object.keys(localStorage).length > 0) {
+            webStorage[entry.origin] = { localStorage: localStorage };
+        }
+    });
+
+    return { data: { version: 2, cookies: cookies, webStorage: webStorage }, notes: notes };
+}
+
+// Cookie-manager extensions and Puppeteer export arrays of cookie objects in
+// shapes close to chrome.cookies.Cookie, but with their own field names:
+//   EditThisCookie: chrome.cookies fields plus a numeric "id"
+//   Cookie-Editor: chrome.cookies fields, "sameSite" null when unset
+//   Puppeteer (page.cookies()): "expires" (-1 for session cookies), "sameSite" 'Strict'/'Lax'/'None'
+// They are converted into saved cookies of the private store instead of being
+// read as v1 backups, which are arrays of chrome.cookies.Cookie too.
+
+const PRIVATE_STORE_IDS = ['1', 'firefox-private'];
+
+const COOKIE_EXPORT_FORMATS = [
+    { name: 'EditThisCookie', test: record => typeof record.id === 'number' },
+    { name: 'Puppeteer', test: record => 'expires' in record || 'sourceScheme' in record || 'priority' in record },
+    { name: 'Cookie-Editor', test: record => 'hostOnly' in record }
+];
+
+const COOKIE_SAME_SITE_SPELLINGS = {
+    no_restriction: 'no_restriction', none: 'no_restriction',
+    lax: 'lax', strict: 'strict',
+    unspecified: 'unspecified', '': 'unspecified'
+};
+
+// Fields of a cookie in a v1 backup: chrome.cookies.Cookie as the browser returned it
+const SAVED_COOKIE_FIELDS = [
+    'name', 'value', 'domain', 'hostOnly', 'path', 'secure', 'httpOnly', 'sameSite', 'session',
+    'expirationDate', 'storeId', 'firstPartyDomain', 'partitionKey', 'firstCaptured'
+];
+
+// Fields and values that only other tools write, whatever cookie store the cookies came from
+function hasCookieExportFields(record) {
+    return typeof record.id === 'number' || record.sameSite === null || 'expires' in record ||
+        (typeof record.sameSite === 'string' && !COOKIE_SAME_SITE_VALUES.includes(record.sameSite));
+}
+
+function isSavedCookieShape(record) {
+    return Object.keys(record).every(field => SAVED_COOKIE_FIELDS.includes(field)) &&
+        typeof record.hostOnly === 'boolean' && typeof record.session === 'boolean' &&
+        PRIVATE_STORE_IDS.includes(record.storeId);
+}
+
+/**
+ * Check if parsed JSON is another tool's cookie export rather than a v1 backup.
+ * Exports taken in a private window have the private store's storeId too, so the
+ * tools' own fields decide first. Only arrays of exactly this extension's cookie
+ * shape are v1 backups.
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isCookieExport(data) {
+    if (!Array.isArray(data) || data.length === 0) return false;
+
+    const records = data.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    if (records.some(hasCookieExportFields)) return true;
+    return records.length === data.length && !records.every(isSavedCookieShape);
+}
+
+/**
+ * Get the expiry of an exported cookie in Unix seconds.
+ * @param {Object} record
+ * @returns {number|null} null for session cookies, NaN if it can't be read
+ */
+function getExportedCookieExpiry(record) {
+    let expiry = record.expirationDate !== undefined ? record.expirationDate : record.expires;
+    if (expiry === undefined || expiry === null || record.session === true) return null;
+
+    if (typeof expiry === 'string') {
+        expiry = /^\d+(\.\d+)?$/.test(expiry) ? Number(expiry) : Date.parse(expiry) / 1000;
+    }
+    if (typeof expiry !== 'number' || isNaN(expiry)) return NaN;
+    if (expiry <= 0) return null; // -1 (Puppeteer) or 0
+    return expiry > 1e11 ? expiry / 1000 : expiry; // Milliseconds
+}
+
+/**
+ * Convert another tool's cookie export into saved cookies.
+ * Records that can't be converted are reported instead of failing the whole file.
+ * @param {Array} records
+ * @returns {{cookies: Array, notes: string[], format: string}} format: the detected tool
+ */
+function parseCookieExport(records) {
+    const cookies = [];
+    const notes = [];
+    const sample = records.find(record => record && typeof record === 'object') || {};
+    const format = (COOKIE_EXPORT_FORMATS.find(candidate => candidate.test(sample)) || { name: 'Cookie list' }).name;
+
+    records.forEach((record, i) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            notes.push(`[${i}]: not a cookie`);
+            return;
+        }
+
+        const label = typeof record.name === 'string' ? `[${i}] ${record.name}` : `[${i}]`;
+        if (typeof record.name !== 'string' || !record.name) {
+            notes.push(`${label}: needs a name`);
+            return;
+        }
+        if (typeof record.value !== 'string') {
+            notes.push(`${label}: needs a string value`);
+            return;
+        }
+        if (typeof record.domain !== 'string' || !record.domain.replace(/^\./, '')) {
+            notes.push(`${label}: needs a domain`);
+            return;
+        }
+
+        const expiry = getExportedCookieExpiry(record);
+        if (isNaN(expiry)) {
+            notes.push(`${label}: unreadable expiry ${JSON.stringify(record.expirationDate !== undefined ? record.expirationDate : record.expires)}`);
+            return;
+        }
+
+        const sameSite = String(record.sameSite === null || record.sameSite === undefined ? '' : record.sameSite).toLowerCase();
+        if (!(sameSite in COOKIE_SAME_SITE_SPELLINGS)) {
+            notes.push(`${label}: unknown sameSite "${record.sameSite}"`);
+            return;
+        }
+
+        // An explicit hostOnly wins over the domain's leading dot
+        const host = record.domain.replace(/^\./, '').toLowerCase();
+        const hostOnly = typeof record.hostOnly === 'boolean' ? record.hostOnly : !record.domain.startsWith('.');
+        const cookie = {
+            name: record.name,
+            value: record.value,
+            domain: hostOnly ? host : '.' + host,
+            hostOnly: hostOnly,
+            path: typeof record.path === 'string' && record.path.startsWith('/') ? record.path : '/',
+            secure: !!record.secure,
+            httpOnly: !!record.httpOnly,
+            sameSite: COOKIE_SAME_SITE_SPELLINGS[sameSite],
+            session: expiry === null,
+            storeId: cookie_store
+        };
+        if (expiry !== null) {
+            cookie.expirationDate = expiry;
+        }
+        if (typeof record.firstPartyDomain === 'string') {
+            cookie.firstPartyDomain = record.firstPartyDomain;
+        }
+        cookies.push(cookie);
+    });
+
+    return { cookies, notes, format };
+}
+
+// ============ Profiles ============
+// Saved data is kept per named profile. The default profile uses the original
+// 'cookies'/'webStorage' keys so data saved by older versions keeps working.
+
+const DEFAULT_PROFILE = 'Default';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+/**
+ * Get the chrome.storage.local key holding one type of saved data for a profile.
+ * @param {string} profile
+ * @param {string} name - e.g. 'cookies', 'webStorageIndex' or a web storage shard
+ * @returns {string}
+ */
+function getProfileStorageKey(profile, name) {
+    return profile === DEFAULT_PROFILE ? name : `profile.${profile}.${name}`;
+}
+
+/**
+ * Check if a chrome.storage change set touches saved data of any profile.
+ * @param {Object} changes
+ * @returns {boolean}
+ */
+function isSavedDataChange(changes) {
+    return Object.keys(changes).some(key => SAVED_DATA_KEYS.includes(key) || key === WEB_STORAGE_INDEX || key.startsWith('profile.'));
+}
+
+async function getProfiles() {
+    const { profiles } = await chrome.storage.local.get({ profiles: defaultSettings.profiles });
+    return profiles;
+}
+
+async function getActiveProfile() {
+    const { active_profile } = await chrome.storage.local.get({ active_profile: DEFAULT_PROFILE });
+    return active_profile;
+}
+
+/**
+ * Find a profile by name, compared like createProfile does (trimmed, ignoring case).
+ * @param {string[]} profiles
+ * @param {string} name
+ * @returns {string|undefined} The existing profile's name
+ */
+function findProfileName(profiles, name) {
+    name = String(name || '').trim().toLowerCase();
+    return profiles.find(profile => profile.toLowerCase() === name);
+}
+
+/**
+ * Validate and add a new, empty profile.
+ * @param {string} name
+ * @returns {Promise<string>} The trimmed profile name
+ */
+async function createProfile(name) {
+    name = String(name || '').trim();
+
+    if (!name) {
+        throw new Error('Enter a profile name');
+    }
+    if (name.length > PROFILE_NAME_MAX_LENGTH) {
+        throw new Error(`Profile names can be at most ${PROFILE_NAME_MAX_LENGTH} characters`);
+    }
+
+    const profiles = await getProfiles();
+    if (findProfileName(profiles, name)) {
+        throw new Error(`Profile "${name}" already exists`);
+    }
+
+    profiles.push(name);
+    await chrome.storage.local.set({ profiles });
+    return name;
+}
+
+/**
+ * Delete a profile and its saved data. The default profile can't be deleted.
+ * If the deleted profile was active or the startup profile, the default takes its place.
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(name) {
+    if (name === DEFAULT_PROFILE) {
+        throw new Error('The default profile cannot be deleted');
+    }
+
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const updates = { profiles: settings.profiles.filter(p => p !== name) };
+
+    if (settings.active_profile === name) {
+        updates.active_profile = DEFAULT_PROFILE;
+    }
+    if (settings.startup_profile === name) {
+        updates.startup_profile = '';
+    }
+
+    await chrome.storage.local.set(updates);
+    await removeSavedData(name);
+    await deleteSnapshots({ profile: name });
+}
+
+// ============ Cookie Expiry ============
+// Expired cookies are dropped whenever saved data is written and again before
+// restoring, so the saved blob doesn't grow forever with cookies the browser
+// would reject anyway.
+
+const COOKIE_EXPIRING_SOON_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a cookie has expired. Session cookies never expire here.
+ * @param {Object} cookie - chrome.cookies.Cookie (expirationDate is in seconds)
+ * @param {number} [now] - Timestamp in ms
+ * @returns {boolean}
+ */
+function isCookieExpired(cookie, now = Date.now()) {
+    return typeof cookie.expirationDate === 'number' && cookie.expirationDate * 1000 <= now;
+}
+
+/**
+ * Remove expired cookies.
+ * @param {Array} cookies
+ * @param {number} [now] - Timestamp in ms
+ * @returns {{cookies: Array, pruned: number}}
+ */
+function pruneExpiredCookies(cookies, now = Date.now()) {
+    const kept = cookies.filter(cookie => !isCookieExpired(cookie, now));
+    return { cookies: kept, pruned: cookies.length - kept.length };
+}
+
+/**
+ * Count the cookies that are still valid but expire within COOKIE_EXPIRING_SOON_MS.
+ * @param {Array} cookies
+ * @param {number} [now] - Timestamp in ms
+ * @returns {number}
+ */
+function countCookiesExpiringSoon(cookies, now = Date.now()) {
+    return cookies.filter(cookie =>
+        !isCookieExpired(cookie, now) && isCookieExpired(cookie, now + COOKIE_EXPIRING_SOON_MS)
+    ).length;
+}
+
+/**
+ * Add to the running total of pruned cookies shown in the popup.
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+async function addPrunedCookieCount(count) {
+    if (count <= 0) return;
+    const { cookies_pruned } = await chrome.storage.local.get({ cookies_pruned: 0 });
+    await chrome.storage.local.set({ cookies_pruned: cookies_pruned + count });
+}
+
+/**
+ * Drop expired cookies from the saved data of every profile. Locked profiles
+ * are skipped; they're pruned on the next save after unlocking.
+ * @returns {Promise<number>} Number of cookies pruned
+ */
+async function pruneSavedCookies() {
+    if (await isSavedDataLocked()) return 0;
+
+    let total = 0;
+    for (const profile of await getProfiles()) {
+        const { cookies } = await getSavedData(['cookies'], profile);
+        const { pruned } = pruneExpiredCookies(cookies);
+        if (pruned > 0) {
+            // setSavedData prunes and counts them
+            await setSavedData({ cookies }, profile);
+            total += pruned;
+        }
+    }
+    return total;
+}
+
+// ============ Session Cookies ============
+// Session cookies have no expiry, so on restore they are either restored as
+// session cookies, made persistent for a lifetime counted from when they were
+// first captured, or skipped. The policy can be overridden per site.
+
+const SESSION_COOKIE_POLICIES = ['session', 'persistent', 'skip'];
+
+function getCookieIdentity(cookie) {
+    return JSON.stringify([cookie.domain, cookie.path, cookie.name, cookie.firstPartyDomain || '', cookie.partitionKey || null]);
+}
+
+/**
+ * Record when each session cookie was first captured (firstCaptured, in ms),
+ * carrying the time over from the saved cookies of the active profile.
+ * @param {Array} cookies - Cookies about to be saved
+ * @returns {Promise<Array>}
+ */
+async function stampSessionCookies(cookies) {
+    const { cookies: previous } = await getSavedData(['cookies']);
+    const captured = new Map(previous
+        .filter(cookie => cookie.session && cookie.firstCaptured)
+        .map(cookie => [getCookieIdentity(cookie), cookie.firstCaptured]));
+    const now = Date.now();
+
+    return cookies.map(cookie => cookie.session
+        ? { ...cookie, firstCaptured: captured.get(getCookieIdentity(cookie)) || cookie.firstCaptured || now }
+        : cookie);
+}
+
+/**
+ * Get the session cookie policy for a cookie, honouring per-site overrides.
+ * @param {Object} cookie
+ * @param {Object} settings
+ * @returns {string} 'session', 'persistent' or 'skip'
+ */
+function getSessionCookiePolicy(cookie, settings) {
+    const host = cookie.domain.replace(/^\./, '');
+    for (const [text, policy] of Object.entries(settings.session_cookie_overrides || {})) {
+        const rule = parseSiteRule(text);
+        if (rule && hostMatchesSiteRule(host, rule)) return policy;
+    }
+    return settings.session_cookie_policy || 'session';
+}
+
+/**
+ * Apply the session cookie policy to cookies about to be restored.
+ * Persistent cookies are returned unchanged.
+ * @param {Array} cookies
+ * @param {Object} settings
+ * @param {number} [now] - Timestamp in ms
+ * @returns {Array}
+ */
+function applySessionCookiePolicy(cookies, settings, now = Date.now()) {
+    const lifetimeMs = (settings.session_cookie_lifetime_days || 30) * 24 * 60 * 60 * 1000;
+    const result = [];
+
+    for (const cookie of cookies) {
+        if (!cookie.session) {
+            result.push(cookie);
+            continue;
+        }
+
+        const policy = getSessionCookiePolicy(cookie, settings);
+        if (policy === 'persistent') {
+            const expires = (cookie.firstCaptured || now) + lifetimeMs;
+            if (expires > now) { // Skip once the lifetime is over
+                result.push({ ...cookie, session: false, expirationDate: Math.floor(expires / 1000) });
+            }
+        } else if (policy !== 'skip') {
+            result.push(cookie);
+        }
+    }
+
+    return result;
+}
+
+// ============ Saved Data Access ============
+// All reads and writes of saved cookies/web storage go through these helpers
+// so profiles, compression and encryption are applied consistently.
+//
+// Web storage is saved sharded: each storage type of each origin is a key of its
+// own ('webStorage.<type>.<storage key>'), listed in 'webStorageIndex' with its
+// size and when the origin was last saved and visited. Saves write only the
+// origins they collected, and sizes are read from the index instead of the data.
+
+const SAVED_DATA_KEYS = ['cookies', 'webStorage'];
+const WEB_STORAGE_INDEX = 'webStorageIndex';
+
+/**
+ * Get the chrome.storage.local key holding one storage type of a saved origin.
+ * @param {string} profile
+ * @param {string} key - Storage key of the origin
+ * @param {string} type - e.g. 'localStorage', 'indexedDB'
+ * @returns {string}
+ */
+function getOriginShardKey(profile, key, type) {
+    return getProfileStorageKey(profile, `webStorage.${type}.${key}`);
+}
+
+/**
+ * Read saved data, decrypting it if needed.
+ * Throws if the data is encrypted and locked.
+ * @param {string[]} keys - Any of 'cookies', 'webStorage'
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {Promise<{cookies?: Array, webStorage?: Object}>}
+ */
+async function getSavedData(keys = SAVED_DATA_KEYS, profile = null) {
+    profile = profile || await getActiveProfile();
+    const result = {};
+
+    if (keys.includes('cookies')) {
+        const name = getProfileStorageKey(profile, 'cookies');
+        const stored = await chrome.storage.local.get(name);
+        result.cookies = (await decodeSavedValue(stored[name])) || [];
+    }
+
+    if (keys.includes('webStorage')) {
+        const index = await getSavedDataIndex(profile);
+        result.webStorage = await getSavedOrigins(Object.keys(index), profile, index);
+    }
+
+    return result;
+}
+
+/**
+ * Read the index of a profile's saved web storage.
+ * Throws if the data is encrypted and locked.
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {Promise<Object<string, {types: Object<string, number>, size: number, stored?: number, updated: number, visited: number}>>}
+ *   Storage key -> bytes per storage type and in total, bytes as stored (compressed and/or encrypted,
+ *   missing in entries saved before compression), when it was last saved and last visited (0 if unknown)
+ */
+async function getSavedDataIndex(profile = null) {
+    profile = profile || await getActiveProfile();
+    await migrateSavedDataLayout(profile);
+
+    const name = getProfileStorageKey(profile, WEB_STORAGE_INDEX);
+    const stored = await chrome.storage.local.get(name);
+    return (await decodeSavedValue(stored[name])) || {};
+}
+
+/**
+ * Read the saved web storage of some origins only.
+ * Throws if the data is encrypted and locked.
+ * @param {string[]} keys - Storage keys, origins without saved data are left out
+ * @param {string} [profile] - Defaults to the active profile
+ * @param {Object} [index] - The profile's index, if it was just read
+ * @returns {Promise<Object>} Storage key -> data, like webStorage
+ */
+async function getSavedOrigins(keys, profile = null, index = null) {
+    profile = profile || await getActiveProfile();
+    index = index || await getSavedDataIndex(profile);
+
+    const saved = keys.filter(key => index[key]);
+    const stored = await chrome.storage.local.get(saved.flatMap(key =>
+        Object.keys(index[key].types).map(type => getOriginShardKey(profile, key, type))));
+
+    const result = {};
+    for (const key of saved) {
+        const data = {};
+        for (const type of Object.keys(index[key].types)) {
+            const value = await decodeSavedValue(stored[getOriginShardKey(profile, key, type)]);
+            if (value !== undefined) data[type] = value;
+        }
+        result[key] = data;
+    }
+    return result;
+}
+
+/**
+ * Write saved data, encrypting it when encryption is enabled.
+ * 'webStorage' replaces all saved origins, see setSavedOrigins to save some.
+ * Keys other than 'cookies' and 'webStorage' (e.g. last_saved) are written as-is.
+ * Expired cookies are dropped and added to the cookies_pruned total.
+ * Throws if encryption is enabled and locked, or if the browser's storage quota is exceeded.
+ * @param {Object} data
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {Promise<void>}
+ */
+async function setSavedData(data, profile = null) {
+    profile = profile || await getActiveProfile();
+
+    const items = {};
+    let pruned = 0;
+    for (let [name, value] of Object.entries(data)) {
+        if (name === 'cookies') {
+            ({ cookies: value, pruned } = pruneExpiredCookies(value));
+            items[getProfileStorageKey(profile, name)] = await encodeSavedValue(value);
+        } else if (name !== 'webStorage') {
+            items[name] = value;
+        }
+    }
+
+    await setLocalItems(items);
+    await addPrunedCookieCount(pruned);
+
+    if (data.webStorage) {
+        await setSavedOrigins(data.webStorage, profile, { replace: true });
+    }
+}
+
+/**
+ * Save the web storage of some origins, encrypting it when encryption is enabled.
+ * The other saved origins are kept, unless the storage budget drops them.
+ * Throws if encryption is enabled and locked, or if the browser's storage quota is exceeded.
+ * @param {Object} origins - Storage key -> data like in webStorage, null removes the origin
+ * @param {string} [profile] - Defaults to the active profile
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Remove all origins that aren't given
+ * @param {boolean} [options.visited] - The data was just collected from open tabs
+ * @returns {Promise<void>}
+ */
+async function setSavedOrigins(origins, profile = null, { replace = false, visited = false } = {}) {
+    profile = profile || await getActiveProfile();
+
+    // Encoded before waiting for other updates of the index
+    const encode = await getSavedValueEncoder();
+    const items = {};
+    const entries = {};
+    for (const [key, data] of Object.entries(origins)) {
+        if (data && Object.keys(data).length > 0) {
+            entries[key] = await encodeOriginShards(profile, key, data, encode, items);
+        }
+    }
+
+    await queueSavedIndexUpdate(profile, async () => {
+        const index = await getSavedDataIndex(profile);
+        const now = Date.now();
+        const removed = [];
+
+        const removeOrigin = (key) => {
+            for (const type of Object.keys(index[key].types)) {
+                const name = getOriginShardKey(profile, key, type);
+                delete items[name];
+                removed.push(name);
+            }
+            delete index[key];
+        };
+
+        for (const key of Object.keys(index)) {
+            const data = origins[key];
+            if ((replace && data === undefined) || data === null || (data && Object.keys(data).length === 0)) {
+                removeOrigin(key);
+            }
+        }
+
+        for (const [key, entry] of Object.entries(entries)) {
+            const previous = index[key];
+            entry.updated = now;
+            entry.visited = visited ? now : (previous ? previous.visited : 0);
+
+            // Storage types the origin no longer has
+            for (const type of Object.keys(previous ? previous.types : {})) {
+                if (!(type in entry.types)) removed.push(getOriginShardKey(profile, key, type));
+            }
+            index[key] = entry;
+        }
+
+        const { evicted, snapshots } = await enforceStorageBudget(index, profile);
+        evicted.forEach(removeOrigin);
+
+        items[getProfileStorageKey(profile, WEB_STORAGE_INDEX)] = await encode(index);
+        await setLocalItems(items);
+        if (removed.length > 0) {
+            await chrome.storage.local.remove(removed);
+        }
+
+        if (snapshots.length > 0) {
+            await deleteSnapshots({ ids: snapshots });
+        }
+        if (evicted.length > 0 || snapshots.length > 0) {
+            await recordStorageEviction(evicted, snapshots, profile);
+        }
+    });
+}
+
+/**
+ * Change one storage type of a saved origin, starting from its current saved value.
+ * Only that type's shard and the index are written, so data saved in the
+ * meantime (other types, other origins, cookies) is kept.
+ * Throws if the origin no longer has saved data of the type.
+ * @param {string} key - Storage key
+ * @param {string} type - e.g. 'localStorage', 'indexedDB'
+ * @param {function(*): *} update - Gets the saved value, returns the new one (null removes the type)
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {Promise<void>}
+ */
+async function updateSavedOriginType(key, type, update, profile = null) {
+    profile = profile || await getActiveProfile();
+    const encode = await getSavedValueEncoder();
+
+    await queueSavedIndexUpdate(profile, async () => {
+        const index = await getSavedDataIndex(profile);
+        const entry = index[key];
+        if (!entry || !(type in entry.types)) {
+            throw new Error(`${formatStorageKey(key)} has no saved ${type} anymore`);
+        }
+
+        const name = getOriginShardKey(profile, key, type);
+        const stored = (await chrome.storage.local.get(name))[name];
+        const value = update(await decodeSavedValue(stored));
+
+        entry.size -= entry.types[type];
+        if (typeof entry.stored === 'number') entry.stored -= getJSONSize(stored);
+        delete entry.types[type];
+
+        const items = {};
+        if (value !== null && value !== undefined) {
+            const part = await encodeOriginShards(profile, key, { [type]: value }, encode, items);
+            entry.types[type] = part.types[type];
+            entry.size += part.size;
+            if (typeof entry.stored === 'number') entry.stored += part.stored;
+        }
+        entry.updated = Date.now();
+        if (Object.keys(entry.types).length === 0) {
+            delete index[key];
+        }
+
+        items[getProfileStorageKey(profile, WEB_STORAGE_INDEX)] = await encode(index);
+        await setLocalItems(items);
+        if (!(name in items)) {
+            await chrome.storage.local.remove(name);
+        }
+    });
+}
+
+// Tasks by name, where the Web Locks API is missing
+const _exclusiveTasks = {};
+
+/**
+ * Run a task once the previous task of the same name finished. The Web Locks API
+ * makes this hold across the background and the extension's pages (popup, restore
+ * page, inspector), which all write saved data; without it, only within this page.
+ * @param {string} name
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function runExclusive(name, task) {
+    if (navigator.locks) {
+        return navigator.locks.request(name, () => task());
+    }
+
+    const result = (_exclusiveTasks[name] || Promise.resolve()).then(task);
+    _exclusiveTasks[name] = result.catch(() => { });
+    return result;
+}
+
+/**
+ * Run an update of a profile's web storage index after the previous one finished.
+ * An update reads the index and writes it back, so concurrent saves (e.g. several
+ * frames or tabs auto-saving at once, or the popup saving during an auto-save)
+ * would otherwise drop each other's origins, and leave shards no index lists.
+ * @param {string} profile
+ * @param {function(): Promise<*>} update
+ * @returns {Promise<*>}
+ */
+function queueSavedIndexUpdate(profile, update) {
+    return runExclusive(`saved-index:${profile}`, update);
+}
+
+/**
+ * Add the shards of an origin's data to the items to write.
+ * @returns {Promise<{types: Object<string, number>, size: number, stored: number}>} The size part of its index entry
+ */
+async function encodeOriginShards(profile, key, data, encode, items) {
+    const entry = { types: {}, size: 0, stored: 0 };
+    for (const [type, value] of Object.entries(data)) {
+        const name = getOriginShardKey(profile, key, type);
+        items[name] = await encode(value);
+        entry.types[type] = getJSONSize(value);
+        entry.size += entry.types[type];
+        entry.stored += items[name] === value ? entry.types[type] : getJSONSize(items[name]);
+    }
+    return entry;
+}
+
+// Profiles saved before the sharded layout keep all web storage in one 'webStorage'
+// key (visit times in 'originVisits'). It is split up on first access.
+const _layoutMigrations = {};
+
+function migrateSavedDataLayout(profile) {
+    if (!_layoutMigrations[profile]) {
+        _layoutMigrations[profile] = migrateLegacyWebStorage(profile).catch((e) => {
+            delete _layoutMigrations[profile]; // e.g. locked, try again once unlocked
+            throw e;
+        });
+    }
+    return _layoutMigrations[profile];
+}
+
+async function migrateLegacyWebStorage(profile) {
+    const legacyKeys = [getProfileStorageKey(profile, 'webStorage'), getProfileStorageKey(profile, 'originVisits')];
+    const stored = await chrome.storage.local.get(legacyKeys);
+    if (stored[legacyKeys[0]] === undefined && stored[legacyKeys[1]] === undefined) return;
+
+    const webStorage = (await decodeSavedValue(stored[legacyKeys[0]])) || {};
+    const visits = (await decodeSavedValue(stored[legacyKeys[1]])) || {};
+    const encode = await getSavedValueEncoder();
+    const index = {};
+    const items = {};
+
+    for (const [key, data] of Object.entries(webStorage)) {
+        index[key] = await encodeOriginShards(profile, key, data, encode, items);
+        index[key].updated = Date.now();
+        index[key].visited = visits[key] || 0;
+    }
+    items[getProfileStorageKey(profile, WEB_STORAGE_INDEX)] = await encode(index);
+
+    await setLocalItems(items);
+    await chrome.storage.local.remove(legacyKeys);
+}
+
+/**
+ * Prepare a value for chrome.storage.local: compressed if large, and encrypted
+ * when encryption is enabled.
+ * Throws if encryption is enabled and locked.
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+async function encodeSavedValue(value) {
+    return (await getSavedValueEncoder())(value);
+}
+
+/**
+ * Get a function that prepares values like encodeSavedValue, to encode many at once.
+ * Throws if encryption is enabled and locked.
+ * @returns {Promise<function(*): Promise<*>>}
+ */
+async function getSavedValueEncoder() {
+    const { encryption_enabled } = await chrome.storage.local.get({ encryption_enabled: false });
+    if (!encryption_enabled) return compressJSON;
+
+    const key = await getEncryptionKey();
+    if (!key) throw new Error(LOCKED_ERROR_MESSAGE);
+    return value => encryptJSON(key, value, true);
+}
+
+/**
+ * Read back a value written by encodeSavedValue.
+ * Throws if the value is encrypted and locked.
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+async function decodeSavedValue(value) {
+    if (isCompressedValue(value)) return parseJSONBytes(base64ToBytes(value.data), value.format);
+    if (!isEncryptedValue(value)) return value;
+
+    const key = await getEncryptionKey();
+    if (!key) throw new Error(LOCKED_ERROR_MESSAGE);
+    return decryptJSON(key, value);
+}
+
+/**
+ * Pause auto-save while the private store is cleared and refilled (e.g. when
+ * switching profiles), so the intermediate state isn't saved over good data.
+ * The pause expires by itself in case the caller never resumes.
+ * @param {number} ms - Maximum pause duration
+ * @returns {Promise<void>}
+ */
+async function pauseAutoSave(ms = 15000) {
+    await chrome.storage.session.set({ auto_save_paused_until: Date.now() + ms });
+}
+
+async function resumeAutoSave() {
+    await chrome.storage.session.remove('auto_save_paused_until');
+}
+
+async function isAutoSavePaused() {
+    const { auto_save_paused_until } = await chrome.storage.session.get({ auto_save_paused_until: 0 });
+    return Date.now() < auto_save_paused_until;
+}
+
+/**
+ * Remove the saved data of a profile.
+ * @param {string} [profile] - Defaults to the active profile
+ * @returns {Promise<void>}
+ */
+async function removeSavedData(profile = null) {
+    profile = profile || await getActiveProfile();
+
+    // Shards are found by their prefix, the index may be encrypted and locked
+    const shardPrefix = getProfileStorageKey(profile, 'webStorage.');
+    const names = chrome.storage.local.getKeys
+        ? await chrome.storage.local.getKeys()
+        : Object.keys(await chrome.storage.local.get(null));
+
+    await chrome.storage.local.remove([
+        ...[...SAVED_DATA_KEYS, WEB_STORAGE_INDEX, 'originVisits'].map(name => getProfileStorageKey(profile, name)),
+        ...names.filter(name => name.startsWith(shardPrefix))
+    ]);
+}
+
+// ============ Storage Budget ============
+// Without unlimitedStorage, chrome.storage.local is limited (10 MB in Chrome) and
+// one site's IndexedDB or caches can fill it. The index accounts saved data per
+// origin and storage type, and how much of it is stored after compression. The
+// storage budget counts the stored bytes of all profiles and snapshots. Over it,
+// the oldest snapshots are dropped first, then the least recently visited origins
+// of the profile being saved; pinned origins never are.
+
+const STORAGE_WARNING_RATIO = 0.8; // Warn at 80% of the budget or the browser quota
+const STORAGE_QUOTA_ERROR_MESSAGE = 'Not enough extension storage to save. Set a storage budget, delete saved sites or snapshots, or turn off large storage types.';
+
+/**
+ * Get the size of a value as saved (its JSON, before compression and encryption).
+ * @param {*} value
+ * @returns {number} Bytes
+ */
+function getJSONSize(value) {
+    return value === undefined ? 0 : new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Account the size of a profile's saved data per origin and storage type.
+ * 'total' is the size of the data, 'stored' what it takes up after compression and encryption.
+ * @param {Object} index - From getSavedDataIndex
+ * @param {Array} cookies - The profile's saved cookies
+ * @param {number} [storedCookies] - Their size as stored, from getStoredCookiesSize
+ * @returns {{total: number, stored: number, cookies: number, origins: Object<string, {total: number, stored: number, types: Object<string, number>}>}}
+ */
+function getStorageUsage(index, cookies, storedCookies = getJSONSize(cookies)) {
+    const usage = { total: getJSONSize(cookies), stored: storedCookies, cookies: getJSONSize(cookies), origins: {} };
+
+    for (const [key, entry] of Object.entries(index)) {
+        const stored = typeof entry.stored === 'number' ? entry.stored : entry.size;
+        usage.origins[key] = { total: entry.size, stored: stored, types: entry.types };
+        usage.total += entry.size;
+        usage.stored += stored;
+    }
+
+    return usage;
+}
+
+/**
+ * Get the size of a profile's saved cookies as stored (compressed and/or encrypted).
+ * Works while locked.
+ * @param {string} profile
+ * @returns {Promise<number>} Bytes
+ */
+async function getStoredCookiesSize(profile) {
+    const name = getProfileStorageKey(profile, 'cookies');
+    const stored = await chrome.storage.local.get(name);
+    return getJSONSize(stored[name]);
+}
+
+/**
+ * Get the stored size of everything else the storage budget counts: the saved
+ * data of the other profiles and all snapshots.
+ * Throws if the data is encrypted and locked.
+ * @param {string} profile - The profile left out
+ * @returns {Promise<{profiles: number, snapshots: Array}>} Bytes, and snapshot metadata oldest first
+ */
+async function getSharedStorageUsage(profile) {
+    let profiles = 0;
+    for (const other of await getProfiles()) {
+        if (other === profile) continue;
+        const index = await getSavedDataIndex(other);
+        profiles += getStorageUsage(index, [], await getStoredCookiesSize(other)).stored;
+    }
+
+    // Oldest first, the last state before a logout last
+    const snapshots = (await getSnapshots()).reverse();
+    const protectedIds = getProtectedSnapshotIds(snapshots);
+    snapshots.sort((a, b) => protectedIds.has(a.id) - protectedIds.has(b.id));
+    return { profiles, snapshots };
+}
+
+/**
+ * Pick what to drop until all saved data fits the storage budget: the oldest
+ * snapshots first, then the least recently visited origins of the profile.
+ * Pinned origins are kept even if they alone exceed the budget.
+ * @param {Object} index - From getSavedDataIndex
+ * @param {Array} cookies - The profile's saved cookies
+ * @param {Object} settings
+ * @param {number} [storedCookies] - Their size as stored, from getStoredCookiesSize
+ * @param {{profiles: number, snapshots: Array}} [shared] - From getSharedStorageUsage
+ * @returns {{evicted: string[], snapshots: string[], total: number}} Storage keys and snapshot ids to drop, and the stored size without them
+ */
+function applyStorageBudget(index, cookies, settings, storedCookies = getJSONSize(cookies), shared = { profiles: 0, snapshots: [] }) {
+    const budget = settings.storage_budget_mb * 1024 * 1024;
+    const evicted = [];
+    const snapshots = [];
+    const usage = getStorageUsage(index, cookies, storedCookies);
+    let total = usage.stored + shared.profiles +
+        shared.snapshots.reduce((sum, entry) => sum + getSnapshotStoredSize(entry), 0);
+
+    if (!budget || settings.storage_eviction !== 'lru' || total <= budget) {
+        return { evicted, snapshots, total };
+    }
+
+    for (const entry of shared.snapshots) {
+        if (total <= budget) break;
+        total -= getSnapshotStoredSize(entry);
+        snapshots.push(entry.id);
+    }
+
+    const pinned = new Set(settings.pinned_origins);
+    const candidates = Object.keys(index)
+        .filter(key => !pinned.has(key))
+        .sort((a, b) => index[a].visited - index[b].visited);
+
+    for (const key of candidates) {
+        if (total <= budget) break;
+        total -= usage.origins[key].stored;
+        evicted.push(key);
+    }
+
+    return { evicted, snapshots, total };
+}
+
+/**
+ * Get what to drop to stay within the storage budget once a profile's index is saved.
+ * @param {Object} index
+ * @param {string} profile
+ * @returns {Promise<{evicted: string[], snapshots: string[]}>} Storage keys and snapshot ids
+ */
+async function enforceStorageBudget(index, profile) {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    if (!settings.storage_budget_mb || settings.storage_eviction !== 'lru') return { evicted: [], snapshots: [] };
+
+    const { cookies } = await getSavedData(['cookies'], profile);
+    const shared = await getSharedStorageUsage(profile);
+    return applyStorageBudget(index, cookies, settings, await getStoredCookiesSize(profile), shared);
+}
+
+// Kept in local storage, so dropped sites can still be seen after a browser restart
+async function recordStorageEviction(evicted, snapshots, profile) {
+    console.warn(`Storage budget exceeded, dropped ${evicted.length} origin(s) of profile "${profile}" and ${snapshots.length} snapshot(s):`, evicted);
+    await chrome.storage.local.set({
+        last_storage_eviction: { time: Date.now(), profile: profile, origins: evicted, snapshots: snapshots.length }
+    });
+}
+
+async function getLastStorageEviction() {
+    const { last_storage_eviction } = await chrome.storage.local.get({ last_storage_eviction: null });
+    return last_storage_eviction;
+}
+
+function isQuotaError(e) {
+    return !!e && (e.name === 'QuotaExceededError' || /quota/i.test(getErrorMessage(e)));
+}
+
+/**
+ * chrome.storage.local.set() that reports an exceeded browser quota with an
+ * actionable message instead of the browser's.
+ * @param {Object} items
+ * @returns {Promise<void>}
+ */
+async function setLocalItems(items) {
+    try {
+        await chrome.storage.local.set(items);
+    } catch (e) {
+        if (isQuotaError(e)) {
+            throw new Error(`${STORAGE_QUOTA_ERROR_MESSAGE} (${getErrorMessage(e)})`);
+        }
+        throw e;
+    }
+}
+
+/**
+ * Get how much of chrome.storage.local is in use (all profiles and snapshots).
+ * @returns {Promise<{bytesInUse: number, quota: number|null}>} quota is null where the browser has none
+ */
+async function getStorageQuotaStatus() {
+    let bytesInUse = null;
+    try {
+        bytesInUse = await chrome.storage.local.getBytesInUse(null);
+    } catch (e) {
+        // Not supported by every browser, measure the stored JSON instead
+    }
+    if (typeof bytesInUse !== 'number') {
+        bytesInUse = getJSONSize(await chrome.storage.local.get(null));
+    }
+
+    return { bytesInUse: bytesInUse, quota: chrome.storage.local.QUOTA_BYTES || null };
+}
+
+// ============ Snapshots ============
+// A bounded history of saved states per profile, so a bad save (e.g. right after
+// a site logged out) doesn't destroy the last good state. The saved state is
+// snapshotted before a save overwrites it. Snapshot data lives in 'snapshot.<id>'
+// keys as backup documents (encrypted like the saved data); 'snapshot_index' holds
+// the metadata shown in the popup.
+
+// Auto-saves snapshot at most every 5 minutes, unless the site deleted cookies (e.g. a logout)
+const SNAPSHOT_MIN_INTERVAL_MS = 5 * 60 * 1000;
+// Reason of a snapshot taken because an auto-save drops saved cookies
+const SNAPSHOT_COOKIE_REMOVAL = 'before-cookie-removal';
+// Held while the snapshot index is read and written back
+const SNAPSHOT_LOCK = 'snapshots';
+
+function getSnapshotStorageKey(id) {
+    return 'snapshot.' + id;
+}
+
+/**
+ * Get snapshot metadata, newest first.
+ * @param {string} [profile] - Only snapshots of this profile
+ * @returns {Promise<Array<{id: string, profile: string, timestamp: number, reason: string, size: number, cookieCount: number, originCount: number}>>}
+ */
+async function getSnapshots(profile = null) {
+    const { snapshot_index } = await chrome.storage.local.get({ snapshot_index: [] });
+    return snapshot_index
+        .filter(entry => !profile || entry.profile === profile)
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Bytes a snapshot takes in storage, entries of older versions only have the JSON size
+function getSnapshotStoredSize(entry) {
+    return entry.stored !== undefined ? entry.stored : entry.size;
+}
+
+/**
+ * Get the latest snapshot of each profile taken before cookies were removed,
+ * i.e. the last state before a logout. Limits drop newer snapshots first.
+ * @param {Array} index
+ * @returns {Set<string>} Snapshot ids
+ */
+function getProtectedSnapshotIds(index) {
+    const latest = {};
+    for (const entry of index) {
+        if (entry.reason !== SNAPSHOT_COOKIE_REMOVAL) continue;
+        if (!latest[entry.profile] || entry.timestamp > latest[entry.profile].timestamp) {
+            latest[entry.profile] = entry;
+        }
+    }
+    return new Set(Object.values(latest).map(entry => entry.id));
+}
+
+/**
+ * Drop snapshots beyond the configured count (per profile), age and total size limits.
+ * The oldest snapshots go first, except the last one taken before cookies were removed.
+ * @param {Array} index
+ * @param {Object} settings
+ * @returns {{keep: Array, removed: Array}}
+ */
+function pruneSnapshotIndex(index, settings) {
+    const maxCount = Math.max(0, settings.snapshot_max_count);
+    const minTimestamp = Date.now() - settings.snapshot_max_age_days * 24 * 60 * 60 * 1000;
+    const maxBytes = settings.snapshot_max_total_mb * 1024 * 1024;
+    const perProfile = {};
+    const keep = [];
+    const removed = [];
+    let total = 0;
+
+    const protectedIds = getProtectedSnapshotIds(index);
+    const ordered = [...index].sort((a, b) =>
+        (protectedIds.has(b.id) - protectedIds.has(a.id)) || (b.timestamp - a.timestamp));
+
+    for (const entry of ordered) {
+        perProfile[entry.profile] = (perProfile[entry.profile] || 0) + 1;
+
+        // Once the total size is reached, all older snapshots are dropped
+        const withinLimits = perProfile[entry.profile] <= maxCount && entry.timestamp >= minTimestamp;
+        if (withinLimits) {
+            total += getSnapshotStoredSize(entry);
+        }
+
+        if (withinLimits && total <= maxBytes) {
+            keep.push(entry);
+        } else {
+            removed.push(entry);
+        }
+    }
+
+    return { keep, removed };
+}
+
+async function writeSnapshotIndex(index, settings) {
+    const { keep, removed } = pruneSnapshotIndex(index, settings);
+
+    await chrome.storage.local.set({ snapshot_index: keep });
+    if (removed.length > 0) {
+        await chrome.storage.local.remove(removed.map(entry => getSnapshotStorageKey(entry.id)));
+    }
+}
+
+/**
+ * Apply the current count and age limits to the stored snapshots.
+ * @returns {Promise<void>}
+ */
+async function pruneSnapshots() {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const { snapshot_index } = await chrome.storage.local.get({ snapshot_index: [] });
+    await writeSnapshotIndex(snapshot_index, settings);
+}
+
+/**
+ * Check if saving cookies would drop saved cookies that haven't expired, i.e.
+ * cookies the site deleted (e.g. when it logged out).
+ * @param {Array} saved
+ * @param {Array} cookies - Cookies about to be saved
+ * @returns {boolean}
+ */
+function dropsSavedCookies(saved, cookies) {
+    const now = Date.now() / 1000;
+    const kept = new Set(cookies.map(getCookieIdentity));
+    return saved.some(cookie => !kept.has(getCookieIdentity(cookie)) && (cookie.session || cookie.expirationDate > now));
+}
+
+/**
+ * Record a snapshot of a profile's current saved data, before a save overwrites it.
+ * Unless forced, nothing is recorded if the profile's last snapshot is recent and
+ * the save doesn't drop saved cookies. A logout deletes cookies one change at a
+ * time, so only the first save of such a burst is snapshotted. Snapshots larger
+ * than the total size limit aren't recorded. Runs after the previous snapshot update
+ * finished, as auto-saves of a burst arrive all at once.
+ * @param {string} reason - e.g. 'before-auto-save', 'before-save', 'before-import'
+ * @param {boolean} force - Ignore the minimum interval
+ * @param {string} [profile] - Defaults to the active profile
+ * @param {Array} [cookies] - The cookies about to be saved
+ * @returns {Promise<Object|null>} The new snapshot's metadata, or null if skipped
+ */
+function recordSnapshot(reason, force = false, profile = null, cookies = null) {
+    return runExclusive(SNAPSHOT_LOCK, () => writeSnapshot(reason, force, profile, cookies));
+}
+
+async function writeSnapshot(reason, force, profile, cookies) {
+    const settings = await chrome.storage.local.get(defaultSettings);
+    profile = profile || settings.active_profile;
+
+    if (settings.snapshot_max_count <= 0) return null;
+
+    const { snapshot_index } = await chrome.storage.local.get({ snapshot_index: [] });
+    const latest = snapshot_index
+        .filter(entry => entry.profile === profile)
+        .reduce((max, entry) => (!max || entry.timestamp > max.timestamp ? entry : max), null);
+    const recent = !!latest && Date.now() - latest.timestamp < SNAPSHOT_MIN_INTERVAL_MS;
+
+    if (!force && recent && !cookies) return null;
+
+    const data = await getSavedData(['cookies'], profile);
+    const dropped = !!cookies && dropsSavedCookies(data.cookies, cookies);
+    if (!force && recent && (!dropped || latest.reason === SNAPSHOT_COOKIE_REMOVAL)) return null;
+    if (!force && dropped) reason = SNAPSHOT_COOKIE_REMOVAL;
+
+    data.webStorage = (await getSavedData(['webStorage'], profile)).webStorage;
+    const originCount = Object.keys(data.webStorage).length;
+    if (data.cookies.length === 0 && originCount === 0) return null;
+
+    const value = await encodeSavedValue(createBackup(data, profile, settings));
+    const entry = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        profile: profile,
+        timestamp: Date.now(),
+        reason: reason,
+        size: getJSONSize(data),
+        stored: getJSONSize(value),
+        cookieCount: data.cookies.length,
+        originCount: originCount
+    };
+    if (entry.stored > settings.snapshot_max_total_mb * 1024 * 1024) return null;
+
+    await setLocalItems({ [getSnapshotStorageKey(entry.id)]: value });
+    await writeSnapshotIndex([...snapshot_index, entry], settings);
+    return entry;
+}
+
+/**
+ * Read the data of a snapshot.
+ * @param {string} id
+ * @returns {Promise<{cookies: Array, webStorage: Object}>}
+ */
+async function getSnapshotData(id) {
+    const key = getSnapshotStorageKey(id);
+    const stored = await chrome.storage.local.get(key);
+
+    if (stored[key] === undefined) {
+        throw new Error('Snapshot not found');
+    }
+
+    // Snapshots of older versions are upgraded like backup files
+    const backup = migrateBackup(await decodeSavedValue(stored[key]));
+    return { cookies: backup.cookies, webStorage: backup.webStorage };
+}
+
+/**
+ * Make a snapshot the current saved state of its profile.
+ * The state it replaces is snapshotted first so the promotion can be undone.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function promoteSnapshot(id) {
+    const entry = (await getSnapshots()).find(e => e.id === id);
+    if (!entry) throw new Error('Snapshot not found');
+
+    const data = await getSnapshotData(id);
+    await recordSnapshot('before-promote', true, entry.profile);
+    await setSavedData({
+        cookies: data.cookies,
+        webStorage: data.webStorage,
+        last_saved: Date.now()
+    }, entry.profile);
+}
+
+/**
+ * Delete snapshots, either by id or all snapshots of a profile.
+ * @param {{id?: string, ids?: string[], profile?: string}} filter
+ * @returns {Promise<void>}
+ */
+function deleteSnapshots(filter) {
+    return runExclusive(SNAPSHOT_LOCK, async () => {
+        const { snapshot_index } = await chrome.storage.local.get({ snapshot_index: [] });
+        const ids = new Set(filter.ids || [filter.id]);
+        const matches = entry => ids.has(entry.id) || entry.profile === filter.profile;
+
+        await chrome.storage.local.set({ snapshot_index: snapshot_index.filter(entry => !matches(entry)) });
+        await chrome.storage.local.remove(snapshot_index.filter(matches).map(entry => getSnapshotStorageKey(entry.id)));
+    });
+}
+
+/**
+ * Re-write all snapshot data with the current encryption setting.
+ * Used when encryption is turned on or off.
+ * @returns {Promise<void>}
+ */
+async function reencodeSnapshots() {
+    const { snapshot_index } = await chrome.storage.local.get({ snapshot_index: [] });
+    for (const entry of snapshot_index) {
+        const key = getSnapshotStorageKey(entry.id);
+        const stored = await chrome.storage.local.get(key);
+
+        if (stored[key] !== undefined) {
+            const value = await encodeSavedValue(await decodeSavedValue(stored[key]));
+            entry.stored = getJSONSize(value);
+            await chrome.storage.local.set({ [key]: value });
+        }
+    }
+    await chrome.storage.local.set({ snapshot_index: snapshot_index });
+}
+
+// ============ Restore Reports ============
+// Restores collect which cookies and storage items were restored and which
+// failed (with the browser's error message), so a login that didn't survive a
+// restore can be diagnosed. The last report is kept in session storage for the popup.
+
+/**
+ * Start an empty restore report.
+ * @param {string} source - What started the restore, e.g. 'restore', 'import', 'snapshot'
+ * @returns {Object}
+ */
+function createRestoreReport(source) {
+    return {
+        source: source,
+        started: Date.now(),
+        finished: null,
+        cookies: { restored: 0, failed: [], skipped: [] },
+        origins: {} // origin -> { localStorage, sessionStorage, indexedDB, cacheStorage, opfs } results, or { error }
+    };
+}
+
+function getErrorMessage(e) {
+    return (e && e.message) || String(e);
+}
+
+function describeCookie(cookie) {
+    return { name: cookie.name, domain: cookie.domain, path: cookie.path };
+}
+
+/**
+ * Explain common reasons for the browser rejecting a cookie, since its own
+ * error message rarely says which rule was broken.
+ * @param {Object} cookie - The details passed to chrome.cookies.set
+ * @returns {string|null}
+ */
+function getCookieFailureHint(cookie) {
+    if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+        return 'SameSite=None cookies must be Secure';
+    }
+    if (cookie.partitionKey && cookie.partitionKey.topLevelSite && !cookie.secure) {
+        return 'Partitioned cookies must be Secure';
+    }
+    if ((cookie.name.length + (cookie.value || '').length) > 4096) {
+        return 'Name and value are larger than 4096 bytes';
+    }
+    return null;
+}
+
+/**
+ * Record the outcome of a tab's setStorageData message.
+ * @param {Object} report
+ * @param {string} origin
+ * @param {Object} [response] - The content script's response
+ * @param {*} [error] - Set if the message failed
+ */
+function addOriginRestoreResult(report, origin, response, error = null) {
+    if (error || !response || !response.report) {
+        report.origins[origin] = { error: error ? getErrorMessage(error) : 'The page did not respond' };
+    } else {
+        report.origins[origin] = response.report;
+    }
+}
+
+/**
+ * Check if the content script restored any item into an origin.
+ * @param {Object} storageResults - Results per storage type ({restored, failed})
+ * @returns {boolean}
+ */
+function hasRestoredItems(storageResults) {
+    return Object.values(storageResults || {}).some(result => result && result.restored > 0);
+}
+
+/**
+ * Count the results of a restore report.
+ * @param {Object} report
+ * @returns {{cookiesRestored: number, cookiesFailed: number, cookiesSkipped: number, origins: number, originsFailed: number}}
+ */
+function summarizeRestoreReport(report) {
+    const results = Object.values(report.origins);
+    return {
+        cookiesRestored: report.cookies.restored,
+        cookiesFailed: report.cookies.failed.length,
+        cookiesSkipped: report.cookies.skipped.length,
+        origins: results.length,
+        originsFailed: results.filter(result =>
+            result.error || Object.values(result).some(type => type.failed && type.failed.length > 0)
+        ).length
+    };
+}
+
+async function saveRestoreReport(report) {
+    report.finished = Date.now();
+    await chrome.storage.session.set({ last_restore_report: report });
+}
+
+async function getLastRestoreReport() {
+    const { last_restore_report } = await chrome.storage.session.get({ last_restore_report: null });
+    return last_restore_report;
+}
+
+/**
+ * Restore cookies from storage to the private cookie store.
+ * Cookies excluded by the site filter are skipped, and nothing is restored while
+ * encrypted data is locked.
+ * Uses Promise.allSettled for parallel restoration.
+ * @param {Array} [savedCookies] - Restore these instead of the active profile's cookies (e.g. a snapshot)
+ * @returns {Promise<{restored: number, failed: Array, skipped: Array}>} The cookies part of a restore report
+ */
+async function restore_cookies(savedCookies = null) {
+    const result = { restored: 0, failed: [], skipped: [] };
+    if (!savedCookies && await isSavedDataLocked()) return result;
+
+    const settings = await chrome.storage.local.get(defaultSettings);
+    const allowed = filterCookies(savedCookies || (await getSavedData(['cookies'])).cookies, settings);
+    const now = Date.now();
+    const cookies = applySessionCookiePolicy(pruneExpiredCookies(allowed, now).cookies, settings, now);
+
+    // Report the cookies left out on purpose
+    const kept = new Set(cookies.map(getCookieIdentity));
+    for (const cookie of allowed) {
+        if (!kept.has(getCookieIdentity(cookie))) {
+            const reason = isCookieExpired(cookie, now) ? 'Expired' : 'Session cookie policy';
+            result.skipped.push({ ...describeCookie(cookie), reason: reason });
+        }
+    }
+    if (cookies.length === 0) return result;
+
+    const details = [];
+    const cookiePromises = cookies.map((originalCookie, i) => {
+        try {
+            // Clone cookie to avoid mutating stored data
+            const cookie = { ...originalCookie };
+
+            // Build the URL for the cookie
+            const domain = cookie.domain.charAt(0) === '.' ? cookie.domain.substr(1) : cookie.domain;
+            cookie.url = (cookie.secure ? 'https://' : 'http://') + domain + cookie.path;
+
+            // Remove unsupported properties
+            delete cookie.hostOnly;
+            delete cookie.session;
+            delete cookie.firstCaptured;
+
+            // Handle __Host- prefixed cookies (must not have domain, must have secure and path=/)
+            if (cookie.name.startsWith('__Host-')) {
+                delete cookie.domain;
+                cookie.secure = true;
+                cookie.path = '/';
+            }
+
+            // Handle __Secure- prefixed cookies (must have secure)
+            if (cookie.name.startsWith('__Secure-')) {
+                cookie.secure = true;
+            }
+
+            details[i] = cookie;
+            return chrome.cookies.set(cookie);
+        } catch (e) {
+            return Promise.reject(e); // Cookies that can't be processed are reported as failed
+        }
+    });
+
+    // Parallel restoration with error handling
+    const outcomes = await Promise.allSettled(cookiePromises);
+
+    outcomes.forEach((outcome, i) => {
+        // chrome.cookies.set resolves with null when the browser refuses the cookie
+        if (outcome.status === 'fulfilled' && outcome.value) {
+            result.restored++;
+            return;
+        }
+
+        result.failed.push({
+            ...describeCookie(cookies[i]),
+            error: outcome.status === 'rejected' ? getErrorMessage(outcome.reason) : 'The browser rejected the cookie',
+            hint: details[i] ? getCookieFailureHint(details[i]) : null
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Clear all private cookies.
+ * Uses parallel operations for better performance.
+ * @returns {Promise<void>}
+ */
+async function clear_private_cookies() {
+    if (isFirefox) {
+        await chrome.browsingData.removeCookies({ cookieStoreId: cookie_store });
+    } else {
+        const cookies = await chrome.cookies.getAll({ storeId: cookie_store });
+
+        // Parallel deletion
+        await Promise.allSettled(cookies.map(cookie =>
+            chrome.cookies.remove({
+                storeId: cookie_store,
+                url: (cookie.secure ? 'https://' : 'http://') +
+                    (cookie.domain.charAt(0) === '.' ? cookie.domain.substr(1) : cookie.domain) +
+                    cookie.path,
                 name: cookie.name
             })
         ));
     }
 }
 
+/**
+ * Format a byte count for display.
+ * @param {number} bytes
+ * @returns {string} e.g. "512 B", "12.5 KB", "3.2 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${parseFloat((bytes / 1024).toFixed(1))} KB`;
+    return `${parseFloat((bytes / (1024 * 1024)).toFixed(1))} MB`;
+}
+
+/**
+ * Format how long ago a timestamp was for display.
+ * @param {number} timestamp - In ms
+ * @param {number} [now] - In ms
+ * @returns {string} e.g. "Just now", "42 seconds ago", "3 hours ago"
+ */
+function formatTimeAgo(timestamp, now = Date.now()) {
+    const seconds = Math.floor((now - timestamp) / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (seconds < 10) return 'Just now';
+    if (seconds < 60) return `${seconds} seconds ago`;
+    if (minutes < 60) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    if (hours < 24) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    return `${days} day${days > 1 ? 's' : ''} ago`;
+}
+
+/**
+ * Format a count with its unit, e.g. "1 cookie", "3 cookies".
+ * @param {number} count
+ * @param {string} unit - Singular
+ * @param {string} [units] - Plural, if it isn't the unit with an "s"
+ * @returns {string}
+ */
+function plural(count, unit, units = unit + 's') {
+    return `${count} ${count === 1 ? unit : units}`;
+}
+
+/**
+ * Get the size of a saved Cache API response body in bytes (not its stored size).
+ * @param {Object} response - The response of a saved cache entry
+ * @returns {number}
+ */
+function getCacheBodySize(response) {
+    if (typeof response.size === 'number') return response.size;
+    if (!response.body) return 0;
+
+    if (response.bodyEncoding === 'base64') {
+        const padding = response.body.endsWith('==') ? 2 : response.body.endsWith('=') ? 1 : 0;
+        return Math.floor(response.body.length * 3 / 4) - padding;
+    }
+    return new TextEncoder().encode(response.body).length;
+}
+
 /**
  * Create a debounced version of a function.
  * @param {Function} fn - Function to debounce